@@ -0,0 +1,260 @@
+// ============================================
+// AMBIENT SCORE
+// Генеративная музыка, которая меняется вместе с посетителем
+// ============================================
+
+// Аккорды пэда в полутонах от корня; смена — по мере взаимодействий
+const CHORDS = [
+    [0, 7, 12, 15],
+    [0, 5, 12, 17],
+    [-2, 5, 10, 14],
+    [0, 7, 10, 15],
+    [-4, 3, 8, 15]
+];
+
+// Частоты мерцающего слоя относительно корня
+const SHIMMER_RATIOS = [8, 12, 15];
+
+const DEFAULT_OPTIONS = {
+    root: 55,                   // Корень гула, Гц (ля контроктавы)
+    interactionsPerChord: 10,   // Взаимодействий до смены аккорда
+    interactionScale: 20,       // Насыщение активности
+    maturityTime: 600,          // Через сколько секунд звучание «созревает»
+    fadeIn: 4,                  // Появление при старте, с
+    fastResponse: 0.08,         // Постоянная времени для натяжения, с
+    slowResponse: 1.5,          // Для остальных сигналов, с
+    chordGlide: 3               // Скольжение между аккордами, с
+};
+
+// Сигналы AppState → значения 0..1
+// { tension 0..1, interactions (шт.), scrollDepth 0..1, timeSpent (с) }
+export function normalizeSignals(signals = {}, options = DEFAULT_OPTIONS) {
+    const clamp = (value) => Math.max(0, Math.min(1, value || 0));
+
+    return {
+        tension: clamp(signals.tension),
+        activity: 1 - Math.exp(-(signals.interactions || 0) / options.interactionScale),
+        depth: clamp(signals.scrollDepth),
+        maturity: clamp((signals.timeSpent || 0) / options.maturityTime),
+        chord: Math.floor((signals.interactions || 0) / options.interactionsPerChord) % CHORDS.length
+    };
+}
+
+// Слои: гул, пэд, мерцание и дыхание (шум)
+export default class AmbientScore {
+    constructor(context, destination, options = {}) {
+        this.context = context;
+        this.destination = destination;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.signals = normalizeSignals({}, this.options);
+        this.layers = null;
+        this.sources = [];
+        this.output = null;
+    }
+
+    get isPlaying() {
+        return this.layers !== null;
+    }
+
+    // Сборка графа и плавное появление
+    start() {
+        if (this.layers) return;
+
+        const context = this.context;
+        const { root } = this.options;
+
+        this.output = context.createGain();
+        this.output.gain.value = 0;
+        this.output.connect(this.destination);
+
+        this.layers = {
+            drone: this.createDrone(root),
+            pad: this.createPad(root * 2),
+            shimmer: this.createShimmer(root),
+            breath: this.createBreath()
+        };
+
+        this.sources.forEach(source => source.start());
+        this.apply(0);
+
+        const now = context.currentTime;
+        this.output.gain.setValueAtTime(0, now);
+        this.output.gain.linearRampToValueAtTime(1, now + this.options.fadeIn);
+    }
+
+    // Гул: две расстроенные пилы через фильтр
+    createDrone(frequency) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 4;
+
+        const gain = this.createLayerGain(filter);
+        const oscillators = [-1, 1].map(() => this.createOscillator('sawtooth', frequency, filter));
+
+        return { filter, gain, oscillators };
+    }
+
+    // Пэд: аккорд треугольных волн
+    createPad(frequency) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+
+        const gain = this.createLayerGain(filter);
+        const oscillators = CHORDS[0].map(semitone =>
+            this.createOscillator('triangle', frequency * Math.pow(2, semitone / 12), filter)
+        );
+
+        return { filter, gain, oscillators, base: frequency };
+    }
+
+    // Мерцание: высокие синусы с медленным тремоло
+    createShimmer(root) {
+        const tremolo = this.context.createGain();
+        tremolo.gain.value = 0.5;
+
+        const lfo = this.createOscillator('sine', 0.2, null);
+        const depth = this.context.createGain();
+        depth.gain.value = 0.5;
+        lfo.connect(depth);
+        depth.connect(tremolo.gain);
+
+        const gain = this.createLayerGain(tremolo);
+        const oscillators = SHIMMER_RATIOS.map(ratio => this.createOscillator('sine', root * ratio, tremolo));
+
+        return { gain, oscillators };
+    }
+
+    // Дыхание: зацикленный шум через полосовой фильтр
+    createBreath() {
+        const context = this.context;
+        const length = context.sampleRate * 2;
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 1.5;
+        source.connect(filter);
+        this.sources.push(source);
+
+        const gain = this.createLayerGain(filter);
+        return { filter, gain };
+    }
+
+    createOscillator(type, frequency, destination) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        if (destination) oscillator.connect(destination);
+
+        this.sources.push(oscillator);
+        return oscillator;
+    }
+
+    createLayerGain(input) {
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        input.connect(gain);
+        gain.connect(this.output);
+        return gain;
+    }
+
+    // Новые параметры на ходу (другая страница со своей партитурой).
+    // Не указанное возвращается к умолчаниям; при смене корня голоса скользят к новым частотам
+    configure(options = {}) {
+        const previousRoot = this.options.root;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!this.layers || this.options.root === previousRoot) return;
+
+        const { root, chordGlide } = this.options;
+        const { drone, pad, shimmer } = this.layers;
+
+        drone.oscillators.forEach(oscillator => this.setTarget(oscillator.frequency, root, chordGlide / 3));
+        shimmer.oscillators.forEach((oscillator, index) => {
+            this.setTarget(oscillator.frequency, root * SHIMMER_RATIOS[index], chordGlide / 3);
+        });
+
+        // Пэд перестраивает apply() от новой базы
+        pad.base = root * 2;
+        this.apply();
+    }
+
+    // Новые значения сигналов (см. normalizeSignals)
+    update(signals) {
+        this.signals = normalizeSignals(signals, this.options);
+        if (this.layers) this.apply();
+    }
+
+    // Сигналы → параметры слоёв. response — множитель времени реакции (0 — сразу)
+    apply(response = 1) {
+        const { tension, activity, depth, maturity, chord } = this.signals;
+        const { drone, pad, shimmer, breath } = this.layers;
+        const fast = this.options.fastResponse * response;
+        const slow = this.options.slowResponse * response;
+
+        // Натяжение раскрывает и расстраивает гул
+        this.setTarget(drone.gain.gain, 0.35 - 0.15 * depth, slow);
+        this.setTarget(drone.filter.frequency, 180 + 2800 * tension + 900 * depth, fast);
+        drone.oscillators.forEach((oscillator, index) => {
+            const cents = (4 + 30 * tension + 10 * activity) * (index === 0 ? -1 : 1);
+            this.setTarget(oscillator.detune, cents, fast);
+        });
+
+        // Пэд проступает со временем, аккорд сдвигается с каждым десятком действий
+        this.setTarget(pad.gain.gain, 0.05 + 0.2 * maturity + 0.08 * depth, slow);
+        this.setTarget(pad.filter.frequency, 600 + 2000 * activity, slow);
+        CHORDS[chord].forEach((semitone, index) => {
+            const frequency = pad.base * Math.pow(2, semitone / 12);
+            this.setTarget(pad.oscillators[index].frequency, frequency, this.options.chordGlide * response / 3);
+        });
+
+        // Мерцание — отклик на активность, сильнее в глубине текста
+        this.setTarget(shimmer.gain.gain, 0.12 * activity * (0.4 + 0.6 * depth), slow);
+
+        // Дыхание становится ближе при прокрутке и натяжении
+        this.setTarget(breath.gain.gain, 0.06 * depth + 0.12 * tension, fast);
+        this.setTarget(breath.filter.frequency, 400 + 1600 * depth, slow);
+    }
+
+    // Экспоненциальное приближение к значению (timeConstant 0 — сразу)
+    setTarget(param, value, timeConstant) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+
+        if (timeConstant > 0) {
+            param.setTargetAtTime(value, now, timeConstant);
+        } else {
+            param.setValueAtTime(value, now);
+        }
+    }
+
+    // Затухание и остановка источников
+    stop(fade = 2) {
+        if (!this.layers) return;
+
+        const now = this.context.currentTime;
+        const output = this.output;
+        output.gain.cancelScheduledValues(now);
+        output.gain.setValueAtTime(output.gain.value, now);
+        output.gain.linearRampToValueAtTime(0, now + fade);
+
+        this.sources.forEach(source => {
+            try {
+                source.stop(now + fade);
+            } catch (e) {}
+        });
+        this.sources[0].onended = () => output.disconnect();
+
+        this.layers = null;
+        this.sources = [];
+        this.output = null;
+    }
+}
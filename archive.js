@@ -0,0 +1,360 @@
+// ============================================
+// АРХИВ ОБЛОМКОВ
+// ============================================
+
+// Импорты
+import { sharedAudio, initSharedAudio, initSharedEffects, hideEffectCanvases } from './shared-systems.js';
+import {
+    detectFastMode, screenPosition, setupAudioToggle, updateAudioToggle, playAmbient, setupDocumentListeners
+} from './page-shell.js';
+import { definePage } from './router.js';
+import StateStorage, { SessionClock, DEFAULT_SETTINGS } from './state-storage.js';
+import FragmentSystem, { JOURNEYS, TRIGGER_HINTS, createFragmentElement } from './fragments.js';
+import { loadJourneyCatalog } from './journey-engine.js';
+import ProgressModel, { applyUnlocks } from './progress.js';
+import { navigateWithTransition } from './manifesto-mechanics.js';
+import { CONFIG } from './config.js';
+
+// Состояние архива
+const ArchiveState = {
+    // Сохранённая запись целиком: поля, которые ведёт лендинг, не теряются при сохранении
+    record: null,
+    settings: { ...DEFAULT_SETTINGS },
+    
+    // Выбранное путешествие: ключ JOURNEYS или 'all'
+    filter: 'all',
+    
+    // Быстрый режим: без шейдеров и звука (как на лендинге)
+    fastMode: false
+};
+
+// Частицы архива: медленный дрейф, курсор притягивает
+const PARTICLE_PRESET = {
+    forces: {
+        cursor: { type: 'attractor', anchor: 'mouse', radius: 0.2, strength: 300 },
+        drag: { type: 'drag', amount: 0.5 }
+    }
+};
+
+// DOM элементы
+const DOM = {};
+
+const storage = new StateStorage();
+const sessionClock = new SessionClock();
+const fragments = new FragmentSystem();
+// Завершённость путешествий и открытые пороги (только чтение: пороги объявляют лендинг и путешествия)
+const progressModel = new ProgressModel();
+
+// Обработчики документа и подписки на общие системы снимаются при уходе со страницы
+let listeners = null;
+let subscriptions = [];
+
+// Страница для роутера: первая загрузка и каждый переход в архив
+export default definePage({
+    async mount() {
+        console.log('%c🗄️ АРХИВ ОБЛОМКОВ', 'font-size: 18px; color: #00ffff;');
+        
+        try {
+            await initArchive();
+            console.log('✅ Архив готов');
+        } catch (error) {
+            console.error('❌ Ошибка инициализации архива:', error);
+        }
+    },
+    unmount: unmountArchive
+});
+
+// Сетка показывается сразу, эффекты и звук догружаются следом
+async function initArchive() {
+    cacheDOM();
+    ArchiveState.fastMode = detectFastMode();
+    listeners = new AbortController();
+    sessionClock.start();
+    
+    // Обломки путешествий известны только из их описаний
+    await loadJourneyCatalog();
+    await loadState();
+    
+    renderFilters();
+    setFilter(readFilterFromHash(), false);
+    setupEventListeners();
+    
+    await Promise.all([
+        initAudio(),
+        initEffects()
+    ]);
+    
+    saveState();
+}
+
+// Уход через роутер: звук и эффекты продолжают работать на следующей странице
+function unmountArchive() {
+    listeners.abort();
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+    
+    const saving = saveState();
+    sessionClock.pause();
+    return saving;
+}
+
+function cacheDOM() {
+    DOM.counter = document.getElementById('archiveCounter');
+    DOM.filters = document.getElementById('archiveFilters');
+    DOM.grid = document.getElementById('fragmentGrid');
+    DOM.viewer = document.getElementById('fragmentViewer');
+    DOM.viewerContent = document.getElementById('fragmentViewerContent');
+    DOM.closeViewer = document.getElementById('closeViewer');
+    DOM.backLink = document.getElementById('backLink');
+    DOM.audioToggle = document.getElementById('audioToggle');
+}
+
+// Загрузка прогресса и находок (архив в visitedPages добавляет роутер)
+async function loadState() {
+    const record = (await storage.load()) || { progress: {}, settings: {} };
+    record.progress = record.progress || {};
+    
+    ArchiveState.record = record;
+    ArchiveState.settings = { ...ArchiveState.settings, ...record.settings };
+    fragments.restore(record.progress.fragments || []);
+    progressModel.restore(record.progress);
+}
+
+// Сохранение: время на странице и настройки поверх загруженной записи
+function saveState() {
+    const { record } = ArchiveState;
+    if (!record) return;
+    
+    record.progress.timeSpent = (record.progress.timeSpent || 0) + sessionClock.take();
+    record.settings = ArchiveState.settings;
+    return storage.save(record);
+}
+
+// Путешествие из адреса: archive.html#manifesto
+function readFilterFromHash() {
+    const journey = decodeURIComponent(window.location.hash.slice(1));
+    return JOURNEYS[journey] ? journey : 'all';
+}
+
+// Кнопки фильтров: «Все» и путешествия, в которых есть обломки
+function renderFilters() {
+    if (!DOM.filters) return;
+    
+    const journeys = Object.keys(JOURNEYS).filter(journey =>
+        fragments.catalog.some(fragment => fragment.journey === journey)
+    );
+    
+    DOM.filters.innerHTML = '';
+    ['all', ...journeys].forEach(journey => {
+        const inJourney = fragments.catalog.filter(fragment => journey === 'all' || fragment.journey === journey);
+        const found = inJourney.filter(fragment => fragments.isDiscovered(fragment.id)).length;
+        
+        const button = document.createElement('button');
+        button.className = 'info-button filter-button';
+        button.dataset.journey = journey;
+        button.textContent = `${journey === 'all' ? 'Все' : JOURNEYS[journey]} ${found}/${inJourney.length}`;
+        button.title = journey === 'all'
+            ? `Общий прогресс: ${progressModel.percent}%`
+            : `Путешествие пройдено на ${Math.floor(progressModel.journeys[journey].value * 100)}%`;
+        button.addEventListener('click', () => setFilter(journey));
+        
+        DOM.filters.appendChild(button);
+    });
+}
+
+// Смена фильтра; адрес обновляется без новой записи в истории
+function setFilter(journey, updateHash = true) {
+    ArchiveState.filter = journey;
+    
+    if (updateHash) {
+        const url = journey === 'all' ? window.location.pathname + window.location.search : `#${journey}`;
+        history.replaceState(history.state, '', url);
+    }
+    
+    if (DOM.filters) {
+        DOM.filters.querySelectorAll('.filter-button').forEach(button => {
+            const active = button.dataset.journey === journey;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    }
+    
+    renderGrid();
+}
+
+// Сетка: найденные обломки и закрытые заглушки с подсказкой
+function renderGrid() {
+    if (!DOM.grid) return;
+    
+    const visible = fragments.catalog.filter(fragment =>
+        ArchiveState.filter === 'all' || fragment.journey === ArchiveState.filter
+    );
+    
+    DOM.grid.innerHTML = '';
+    visible.forEach(fragment => {
+        const record = fragments.discovered.get(fragment.id);
+        DOM.grid.appendChild(record ? createCard(fragment, record) : createLockedCard(fragment));
+    });
+    
+    if (DOM.counter) {
+        DOM.counter.textContent = `${fragments.count} из ${fragments.total}`;
+    }
+}
+
+function createCard(fragment, record) {
+    const card = document.createElement('button');
+    card.className = 'fragment-card';
+    card.setAttribute('aria-label', `Открыть обломок «${fragment.title}»`);
+    card.appendChild(createFragmentElement(fragment, record));
+    
+    card.addEventListener('mouseenter', () => rippleAt(card, 0.3));
+    card.addEventListener('click', () => openFragment(fragment, record, card));
+    
+    return card;
+}
+
+function createLockedCard(fragment) {
+    const card = document.createElement('div');
+    card.className = 'fragment-card locked';
+    card.setAttribute('aria-disabled', 'true');
+    
+    const title = document.createElement('h3');
+    title.className = 'fragment-title';
+    title.textContent = '???';
+    
+    const hint = document.createElement('p');
+    hint.className = 'fragment-hint';
+    hint.textContent = fragment.hint || TRIGGER_HINTS[fragment.trigger.type] || '';
+    
+    const journey = document.createElement('span');
+    journey.className = 'fragment-journey';
+    journey.textContent = JOURNEYS[fragment.journey] || '';
+    
+    card.append(title, hint, journey);
+    return card;
+}
+
+// Волна искажения под карточкой и тихий отклик
+function rippleAt(element, intensity) {
+    if (ArchiveState.settings.reduceMotion) return;
+    
+    const position = screenPosition(element);
+    if (window.shaderEffects) {
+        window.shaderEffects.addDistortion({ ...position, radius: 0.15, intensity, duration: 600 });
+    }
+    
+    if (window.audioManager) {
+        window.audioManager.play('glitch', { volume: 0.1, pitch: 1.5, cooldown: 100, priority: -1, position });
+    }
+}
+
+// Просмотр обломка: всплеск в месте карточки и его звук
+function openFragment(fragment, record, card) {
+    DOM.viewerContent.innerHTML = '';
+    DOM.viewerContent.appendChild(createFragmentElement(fragment, record));
+    DOM.viewer.classList.add('visible');
+    DOM.viewer.setAttribute('aria-hidden', 'false');
+    DOM.closeViewer.focus();
+    
+    const position = screenPosition(card);
+    if (window.shaderEffects) {
+        window.shaderEffects.triggerBurst({ ...position, color: [0, 1, 1], radius: 0.4 });
+    }
+    
+    if (window.audioManager) {
+        const { key, ...options } = fragment.sound || { key: 'whisper', volume: 0.25 };
+        window.audioManager.play(key, { ...options, position });
+    }
+    
+    ArchiveState.lastCard = card;
+}
+
+function closeFragment() {
+    if (!DOM.viewer.classList.contains('visible')) return;
+    
+    DOM.viewer.classList.remove('visible');
+    DOM.viewer.setAttribute('aria-hidden', 'true');
+    
+    // Фокус возвращается на карточку, с которой открыли
+    if (ArchiveState.lastCard) ArchiveState.lastCard.focus();
+}
+
+function setupEventListeners() {
+    const { signal } = listeners;
+    
+    // Просмотр закрывается крестиком, кликом по фону и Escape
+    DOM.closeViewer.addEventListener('click', closeFragment);
+    DOM.viewer.addEventListener('click', (e) => {
+        if (e.target === DOM.viewer) closeFragment();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeFragment();
+    }, { signal });
+    
+    // Фильтр из адреса при переходе по ссылке с другим хэшем
+    window.addEventListener('hashchange', () => setFilter(readFilterFromHash(), false), { signal });
+    
+    if (DOM.backLink) {
+        DOM.backLink.addEventListener('click', navigateBack);
+    }
+    
+    setupAudioToggle(DOM.audioToggle, {
+        settings: () => ArchiveState.settings,
+        onEnable: startAmbient,
+        onChange: saveState
+    });
+    
+    setupDocumentListeners({ signal, sessionClock, save: saveState });
+}
+
+// Возврат на лендинг через шейдерный переход
+function navigateBack(e) {
+    e.preventDefault();
+    navigateWithTransition(DOM.backLink.href);
+}
+
+// Звук: тот же менеджер и жизненный цикл, что на лендинге
+async function initAudio() {
+    sharedAudio();
+    updateAudioToggle(DOM.audioToggle, ArchiveState.settings.audioEnabled);
+    if (ArchiveState.fastMode) return;
+    
+    const manager = await initSharedAudio();
+    if (!ArchiveState.settings.audioEnabled) {
+        manager.disable(0);
+    }
+    
+    const { lifecycle } = manager;
+    subscriptions.push(
+        lifecycle.onChange(() => updateAudioToggle(DOM.audioToggle, ArchiveState.settings.audioEnabled)),
+        lifecycle.onUnlock(startAmbient)
+    );
+    
+    await manager.loadSounds(['ambient', 'glitch', 'whisper']);
+    startAmbient();
+}
+
+// Эмбиент и музыка: в архиве музыка спокойнее — «зрелость» по времени и числу находок
+function startAmbient() {
+    if (!playAmbient(ArchiveState.settings.audioEnabled)) return;
+    
+    window.audioManager.updateScore({
+        tension: 0,
+        interactions: fragments.count * 10,
+        scrollDepth: 0,
+        timeSpent: (ArchiveState.record.progress.timeSpent || 0) / 1000
+    });
+}
+
+// Шейдеры и частицы с настройками посетителя
+async function initEffects() {
+    const { settings } = ArchiveState;
+    
+    if (!settings.effectsEnabled || ArchiveState.fastMode || CONFIG.initialization.skipShaders) {
+        hideEffectCanvases();
+        return;
+    }
+    
+    const effects = await initSharedEffects({ settings, particles: PARTICLE_PRESET });
+    applyUnlocks(effects, progressModel.unlockedThresholds());
+}
@@ -0,0 +1,124 @@
+// ============================================
+// AUDIO ANALYSER
+// Энергия полос, атаки и громкость для реакции картинки на звук
+// ============================================
+
+// Полосы частот, Гц
+export const BANDS = {
+    low: [20, 250],
+    mid: [250, 2000],
+    high: [2000, 8000]
+};
+
+const DEFAULT_OPTIONS = {
+    fftSize: 1024,
+    smoothing: 0.6,         // smoothingTimeConstant анализатора
+    historySize: 43,        // Кадров в истории потока (~0.7 с при 60 fps)
+    onsetThreshold: 1.5,    // Во сколько раз поток должен превысить средний
+    minFlux: 0.02,          // Порог тишины: меньший поток атакой не считается
+    refractory: 0.1,        // Минимум между атаками, с
+    pulseDecay: 6           // Скорость затухания импульса атаки, 1/с
+};
+
+// Нулевой результат (звук выключен или не запущен)
+export function silentLevels() {
+    return { low: 0, mid: 0, high: 0, rms: 0, flux: 0, onset: false, pulse: 0 };
+}
+
+// Анализатор подключается отводом: сигнал проходит мимо, а не через него
+export default class AudioAnalyser {
+    constructor(context, source, options = {}) {
+        this.context = context;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.node = context.createAnalyser();
+        this.node.fftSize = this.options.fftSize;
+        this.node.smoothingTimeConstant = this.options.smoothing;
+        source.connect(this.node);
+
+        this.spectrum = new Uint8Array(this.node.frequencyBinCount);
+        this.previousSpectrum = new Float32Array(this.node.frequencyBinCount);
+        this.waveform = new Float32Array(this.node.fftSize);
+
+        // Диапазоны бинов для полос
+        const binWidth = context.sampleRate / this.node.fftSize;
+        this.bands = {};
+        Object.entries(BANDS).forEach(([name, [from, to]]) => {
+            this.bands[name] = [
+                Math.max(1, Math.floor(from / binWidth)),
+                Math.min(this.node.frequencyBinCount, Math.ceil(to / binWidth))
+            ];
+        });
+
+        this.fluxHistory = [];
+        this.lastOnset = -Infinity;
+        this.lastTime = null;
+        this.levels = silentLevels();
+    }
+
+    // Снимок на текущий момент: { low, mid, high (0..1), rms, flux, onset, pulse (0..1) }
+    update() {
+        const now = this.context.currentTime;
+        const dt = this.lastTime === null ? 0 : Math.max(0, now - this.lastTime);
+        this.lastTime = now;
+
+        this.node.getByteFrequencyData(this.spectrum);
+        this.node.getFloatTimeDomainData(this.waveform);
+
+        const levels = this.levels;
+        Object.entries(this.bands).forEach(([name, [from, to]]) => {
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += this.spectrum[i];
+            levels[name] = to > from ? sum / ((to - from) * 255) : 0;
+        });
+
+        let square = 0;
+        for (let i = 0; i < this.waveform.length; i++) {
+            square += this.waveform[i] * this.waveform[i];
+        }
+        levels.rms = Math.sqrt(square / this.waveform.length);
+
+        levels.flux = this.computeFlux();
+        levels.onset = this.detectOnset(levels.flux, now);
+
+        // Импульс вспыхивает на атаке и экспоненциально гаснет
+        levels.pulse = levels.onset ? 1 : levels.pulse * Math.exp(-this.options.pulseDecay * dt);
+
+        return levels;
+    }
+
+    // Спектральный поток: сумма роста магнитуд с прошлого кадра
+    computeFlux() {
+        let flux = 0;
+
+        for (let i = 0; i < this.spectrum.length; i++) {
+            const magnitude = this.spectrum[i] / 255;
+            const rise = magnitude - this.previousSpectrum[i];
+            if (rise > 0) flux += rise;
+            this.previousSpectrum[i] = magnitude;
+        }
+
+        return flux / this.spectrum.length;
+    }
+
+    // Атака — поток заметно выше среднего за недавнее время
+    detectOnset(flux, now) {
+        const history = this.fluxHistory;
+        const average = history.length
+            ? history.reduce((sum, value) => sum + value, 0) / history.length
+            : 0;
+
+        history.push(flux);
+        if (history.length > this.options.historySize) history.shift();
+
+        if (flux < this.options.minFlux || flux < average * this.options.onsetThreshold) return false;
+        if (now - this.lastOnset < this.options.refractory) return false;
+
+        this.lastOnset = now;
+        return true;
+    }
+
+    dispose() {
+        this.node.disconnect();
+    }
+}
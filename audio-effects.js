@@ -0,0 +1,243 @@
+// ============================================
+// AUDIO EFFECTS
+// Цепочки эффектов Web Audio из описаний манифеста
+// ============================================
+
+// Типы BiquadFilterNode
+const BIQUAD_TYPES = [
+    'lowpass', 'highpass', 'bandpass', 'lowshelf',
+    'highshelf', 'peaking', 'notch', 'allpass'
+];
+
+// Параметры по умолчанию; строка в манифесте ('lowpass') — это { type: 'lowpass' }
+export const EFFECT_DEFAULTS = {
+    lowpass: { frequency: 800, Q: 1 },
+    highpass: { frequency: 200, Q: 1 },
+    bandpass: { frequency: 1000, Q: 1 },
+    lowshelf: { frequency: 300, gain: 0 },
+    highshelf: { frequency: 3000, gain: 0 },
+    peaking: { frequency: 1000, Q: 1, gain: 0 },
+    notch: { frequency: 1000, Q: 1 },
+    allpass: { frequency: 1000, Q: 1 },
+    reverb: { duration: 3, decay: 2, mix: 0.4 },
+    delay: { time: 0.3, feedback: 0.35, mix: 0.3, maxTime: 2 },
+    distortion: { amount: 20, oversample: '2x' }
+};
+
+// Плавное изменение AudioParam (duration в секундах, 0 — сразу)
+export function rampParam(param, value, duration = 0, context = null) {
+    const now = context ? context.currentTime : 0;
+
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+
+    if (duration > 0) {
+        param.linearRampToValueAtTime(value, now + duration);
+    } else {
+        param.setValueAtTime(value, now);
+    }
+}
+
+// Кривые фейдов: прогресс 0..1 → доля пути от начального значения к конечному
+export const FADE_CURVES = {
+    linear: (t) => t,
+    // Равная мощность: при кроссфейде сумма двух сигналов не проседает
+    'equal-power': (t) => Math.sin((t * Math.PI) / 2),
+    // Плавный S-образный переход без резкого начала и конца
+    smooth: (t) => t * t * (3 - 2 * t)
+};
+
+// Фейд AudioParam по кривой (curve — имя из FADE_CURVES или 'exponential')
+export function fadeParam(param, value, duration, curve = 'linear', context = null) {
+    const now = context ? context.currentTime : 0;
+    const from = param.value;
+
+    param.cancelScheduledValues(now);
+
+    if (duration <= 0) {
+        param.setValueAtTime(value, now);
+        return;
+    }
+
+    if (curve === 'exponential') {
+        // Экспонента не доходит до нуля — останавливаемся у порога слышимости
+        param.setValueAtTime(Math.max(from, 0.0001), now);
+        param.exponentialRampToValueAtTime(Math.max(value, 0.0001), now + duration);
+        param.setValueAtTime(value, now + duration);
+        return;
+    }
+
+    const shape = FADE_CURVES[curve];
+    if (!shape || curve === 'linear') {
+        param.setValueAtTime(from, now);
+        param.linearRampToValueAtTime(value, now + duration);
+        return;
+    }
+
+    const points = new Float32Array(64);
+    for (let i = 0; i < points.length; i++) {
+        points[i] = from + (value - from) * shape(i / (points.length - 1));
+    }
+    param.setValueCurveAtTime(points, now, duration);
+}
+
+// Импульсная характеристика реверберации: затухающий стереошум
+export function createImpulse(context, duration, decay) {
+    const length = Math.max(1, Math.floor(context.sampleRate * duration));
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+
+    return impulse;
+}
+
+// Кривая искажения WaveShaperNode (amount 0..100+)
+export function createDistortionCurve(amount, samples = 1024) {
+    const curve = new Float32Array(samples);
+    const deg = Math.PI / 180;
+
+    for (let i = 0; i < samples; i++) {
+        const x = (i * 2) / samples - 1;
+        curve[i] = ((3 + amount) * x * 20 * deg) / (Math.PI + amount * Math.abs(x));
+    }
+
+    return curve;
+}
+
+// Сухой и мокрый сигнал для эффектов с mix
+function createMix(context, input, output, wetNode, mix) {
+    const dry = context.createGain();
+    const wet = context.createGain();
+    dry.gain.value = 1 - mix;
+    wet.gain.value = mix;
+
+    input.connect(dry);
+    dry.connect(output);
+    input.connect(wetNode);
+    wet.connect(output);
+
+    return { dry, wet };
+}
+
+// Создание эффекта: { type, name, input, output, params, options, set(param, value, duration) }
+// params — AudioParam для автоматизации, options — значения без AudioParam
+export function createEffect(context, definition) {
+    const spec = typeof definition === 'string' ? { type: definition } : definition;
+    const options = { ...EFFECT_DEFAULTS[spec.type], ...spec };
+    const effect = {
+        type: spec.type,
+        name: spec.name || spec.type,
+        params: {},
+        options
+    };
+
+    if (BIQUAD_TYPES.includes(spec.type)) {
+        const filter = context.createBiquadFilter();
+        filter.type = spec.type;
+
+        ['frequency', 'Q', 'gain', 'detune'].forEach(name => {
+            if (options[name] !== undefined) filter[name].value = options[name];
+            effect.params[name] = filter[name];
+        });
+
+        effect.input = filter;
+        effect.output = filter;
+    } else if (spec.type === 'reverb') {
+        const input = context.createGain();
+        const output = context.createGain();
+        const convolver = context.createConvolver();
+        convolver.buffer = createImpulse(context, options.duration, options.decay);
+
+        const { dry, wet } = createMix(context, input, output, convolver, options.mix);
+        convolver.connect(wet);
+
+        effect.input = input;
+        effect.output = output;
+        effect.params = { wet: wet.gain, dry: dry.gain };
+        effect.convolver = convolver;
+    } else if (spec.type === 'delay') {
+        const input = context.createGain();
+        const output = context.createGain();
+        const delay = context.createDelay(options.maxTime);
+        const feedback = context.createGain();
+        delay.delayTime.value = options.time;
+        feedback.gain.value = options.feedback;
+
+        const { dry, wet } = createMix(context, input, output, delay, options.mix);
+        delay.connect(feedback);
+        feedback.connect(delay);
+        delay.connect(wet);
+
+        effect.input = input;
+        effect.output = output;
+        effect.params = { time: delay.delayTime, feedback: feedback.gain, wet: wet.gain, dry: dry.gain };
+    } else if (spec.type === 'distortion') {
+        const shaper = context.createWaveShaper();
+        shaper.curve = createDistortionCurve(options.amount);
+        shaper.oversample = options.oversample;
+
+        effect.input = shaper;
+        effect.output = shaper;
+        effect.shaper = shaper;
+    } else {
+        throw new Error(`Неизвестный аудиоэффект "${spec.type}"`);
+    }
+
+    effect.set = (name, value, duration = 0) => setEffectParam(context, effect, name, value, duration);
+    return effect;
+}
+
+// Изменение параметра эффекта. mix раскладывается на wet/dry,
+// параметры без AudioParam (amount, duration, decay) применяются сразу
+export function setEffectParam(context, effect, name, value, duration = 0) {
+    if (name === 'mix' && effect.params.wet) {
+        rampParam(effect.params.wet, value, duration, context);
+        rampParam(effect.params.dry, 1 - value, duration, context);
+    } else if (effect.params[name]) {
+        rampParam(effect.params[name], value, duration, context);
+    } else if (name === 'amount' && effect.shaper) {
+        effect.shaper.curve = createDistortionCurve(value);
+    } else if ((name === 'duration' || name === 'decay') && effect.convolver) {
+        const duration = name === 'duration' ? value : effect.options.duration;
+        const decay = name === 'decay' ? value : effect.options.decay;
+        effect.convolver.buffer = createImpulse(context, duration, decay);
+    } else {
+        console.warn(`Параметр "${name}" не поддерживается эффектом "${effect.name}"`);
+        return;
+    }
+
+    effect.options[name] = value;
+}
+
+// Последовательная цепочка эффектов: input → эффекты → output
+// Возвращает { input, output, effects: Map(name → effect) }
+export function createChain(context, definitions = []) {
+    const input = context.createGain();
+    const output = context.createGain();
+    const effects = new Map();
+
+    let previous = input;
+    definitions.forEach(definition => {
+        const effect = createEffect(context, definition);
+
+        // Повторяющиеся имена получают номер: lowpass, lowpass2...
+        let name = effect.name;
+        for (let index = 2; effects.has(name); index++) {
+            name = `${effect.name}${index}`;
+        }
+        effect.name = name;
+        effects.set(name, effect);
+
+        previous.connect(effect.input);
+        previous = effect.output;
+    });
+
+    previous.connect(output);
+
+    return { input, output, effects };
+}
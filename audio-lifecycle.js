@@ -0,0 +1,302 @@
+// ============================================
+// AUDIO LIFECYCLE
+// Разблокировка аудиоконтекста жестом, пауза в фоне и возобновление
+// ============================================
+
+import { rampParam } from './audio-effects.js';
+
+// Состояния для интерфейса
+export const AUDIO_STATES = {
+    locked: 'locked',           // Браузер ждёт жеста пользователя
+    running: 'running',         // Звук идёт
+    suspended: 'suspended',     // Пауза: вкладка скрыта или система прервала звук
+    unavailable: 'unavailable'  // Web Audio не поддерживается
+};
+
+// Вид кнопки звука: выключен пользователем или по состоянию контекста
+const TOGGLE_VIEWS = {
+    off: { icon: '🔇', label: 'Звук выкл', active: false },
+    unavailable: { icon: '🔇', label: 'Нет звука', active: false },
+    // Браузер ждёт жеста: любое нажатие на странице включит звук
+    locked: { icon: '🔈', label: 'Нажмите', active: true },
+    suspended: { icon: '⏸️', label: 'Пауза', active: true },
+    running: { icon: '🔊', label: 'Звук вкл', active: true }
+};
+
+// Кнопка звука (.icon и .label внутри); state null — жизненный цикл не запущен
+export function renderAudioToggle(button, enabled, state = null) {
+    if (state) button.dataset.state = state;
+
+    let view = TOGGLE_VIEWS.running;
+    if (state === AUDIO_STATES.unavailable) {
+        view = TOGGLE_VIEWS.unavailable;
+    } else if (!enabled) {
+        view = TOGGLE_VIEWS.off;
+    } else if (state) {
+        view = TOGGLE_VIEWS[state];
+    }
+
+    button.querySelector('.icon').textContent = view.icon;
+    button.querySelector('.label').textContent = view.label;
+    button.classList.toggle('active', view.active);
+}
+
+// Жесты, в обработчике которых браузер разрешает resume()
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+const DEFAULT_OPTIONS = {
+    timeout: 3000,      // Ожидание resume() / suspend(), мс
+    fade: 0.15          // Затухание перед паузой и появление после, с
+};
+
+// Промис или отказ по истечении времени
+function withTimeout(promise, timeout) {
+    let timer = null;
+    const expired = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Аудиоконтекст не ответил за ${timeout} мс`)), timeout);
+    });
+
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+export default class AudioLifecycle {
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.options = {
+            timeout: options.timeout || DEFAULT_OPTIONS.timeout,
+            fade: options.fade !== undefined ? options.fade : DEFAULT_OPTIONS.fade
+        };
+
+        // Контекст хотя бы раз запускался по жесту
+        this.unlocked = false;
+        // Пауза из-за скрытой вкладки; wasRunning — возобновлять ли при возврате
+        this.hidden = false;
+        this.wasRunning = false;
+        // Номер перехода: устаревшие suspend/resume не должны срабатывать
+        this.transition = 0;
+
+        this.state = null;
+        this.listeners = new Set();
+        this.unlockListeners = new Set();
+
+        this.handleGesture = () => this.unlock();
+        this.handleVisibility = () => {
+            if (document.visibilityState === 'hidden') {
+                this.pause();
+            } else {
+                this.resume();
+            }
+        };
+        this.handlePageHide = () => this.pause();
+        this.handlePageShow = () => this.resume();
+        this.handleStateChange = () => this.sync();
+    }
+
+    get context() {
+        return this.manager.context;
+    }
+
+    // Подписка на обработчики событий документа
+    attach() {
+        const context = this.context;
+        if (!context) {
+            this.sync();
+            return this;
+        }
+
+        context.onstatechange = this.handleStateChange;
+        this.unlocked = context.state === 'running';
+        if (!this.unlocked) this.armGestures();
+
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        window.addEventListener('pagehide', this.handlePageHide);
+        window.addEventListener('pageshow', this.handlePageShow);
+
+        this.sync();
+        return this;
+    }
+
+    armGestures() {
+        UNLOCK_EVENTS.forEach(type => {
+            document.addEventListener(type, this.handleGesture, { capture: true, passive: true });
+        });
+    }
+
+    disarmGestures() {
+        UNLOCK_EVENTS.forEach(type => {
+            document.removeEventListener(type, this.handleGesture, { capture: true });
+        });
+    }
+
+    // Разблокировка по жесту. resume() вызывается синхронно в обработчике,
+    // иначе браузер не засчитает жест
+    async unlock() {
+        const context = this.context;
+        if (!context || this.hidden) return false;
+
+        const transition = ++this.transition;
+
+        try {
+            const resuming = context.resume();
+            this.primeOutput();
+            await withTimeout(resuming, this.options.timeout);
+        } catch (error) {
+            // Следующий жест попробует снова
+            console.warn('🔒 Аудиоконтекст не разблокирован:', error.message);
+            this.sync();
+            return false;
+        }
+
+        if (transition !== this.transition || context.state !== 'running') {
+            this.sync();
+            return false;
+        }
+
+        // После неудачного resume() мастер остался приглушён pause()
+        this.fadeMaster(this.manager.enabled ? this.manager.masterVolume : 0);
+
+        this.disarmGestures();
+        const first = !this.unlocked;
+        this.unlocked = true;
+        this.sync();
+
+        if (first) {
+            console.log('🔓 Аудиоконтекст разблокирован');
+            this.unlockListeners.forEach(listener => listener());
+        }
+        return true;
+    }
+
+    // Тихий буфер: iOS Safari открывает вывод только после старта источника в жесте
+    primeOutput() {
+        const context = this.context;
+        const source = context.createBufferSource();
+        source.buffer = context.createBuffer(1, 1, context.sampleRate);
+        source.connect(context.destination);
+        source.start(0);
+    }
+
+    // Вкладка скрыта: короткое затухание и пауза контекста
+    async pause() {
+        const context = this.context;
+        if (!context || this.hidden) return;
+
+        this.hidden = true;
+        this.wasRunning = context.state === 'running';
+        if (!this.wasRunning) {
+            this.sync();
+            return;
+        }
+
+        const transition = ++this.transition;
+        this.fadeMaster(0);
+
+        // Затухание должно доиграть до остановки часов контекста
+        await new Promise(resolve => setTimeout(resolve, this.options.fade * 1000));
+        if (transition !== this.transition) return;
+
+        try {
+            await withTimeout(context.suspend(), this.options.timeout);
+            console.log('⏸️ Звук приостановлен: вкладка скрыта');
+        } catch (error) {
+            console.warn('Не удалось приостановить аудиоконтекст:', error.message);
+        }
+
+        this.sync();
+    }
+
+    // Вкладка снова видна: возобновление и появление звука
+    async resume() {
+        const context = this.context;
+        if (!context || !this.hidden) return;
+
+        this.hidden = false;
+        const transition = ++this.transition;
+
+        if (!this.wasRunning) {
+            this.sync();
+            return;
+        }
+
+        try {
+            await withTimeout(context.resume(), this.options.timeout);
+        } catch (error) {
+            // Браузер снова требует жест (например, iOS после блокировки экрана)
+            console.warn('Аудиоконтекст не возобновился, ждём жеста:', error.message);
+        }
+
+        if (transition !== this.transition) return;
+
+        if (context.state === 'running') {
+            this.fadeMaster(this.manager.enabled ? this.manager.masterVolume : 0);
+            console.log('▶️ Звук возобновлён');
+        } else {
+            this.armGestures();
+        }
+
+        this.sync();
+    }
+
+    // Громкость masterGain без изменения настроек менеджера
+    fadeMaster(value) {
+        const gain = this.manager.masterGain;
+        if (gain) rampParam(gain.gain, value, this.options.fade, this.context);
+    }
+
+    // Текущее состояние из контекста; подписчики узнают только о смене
+    sync() {
+        const context = this.context;
+        let state;
+
+        if (!context) {
+            state = AUDIO_STATES.unavailable;
+        } else if (context.state === 'running' && !this.hidden) {
+            state = AUDIO_STATES.running;
+        } else if (!this.unlocked) {
+            state = AUDIO_STATES.locked;
+        } else {
+            state = AUDIO_STATES.suspended;
+        }
+
+        // Система прервала звук сама (звонок, другая вкладка) — нужен новый жест
+        if (context && this.unlocked && !this.hidden && context.state !== 'running') {
+            this.armGestures();
+        }
+
+        if (state === this.state) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.listeners.forEach(listener => listener(state, previous));
+    }
+
+    // Подписка на смену состояния: (state, previous) => void
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Первый успешный запуск контекста (сразу, если уже разблокирован)
+    onUnlock(listener) {
+        if (this.unlocked) {
+            listener();
+            return () => {};
+        }
+
+        this.unlockListeners.add(listener);
+        return () => this.unlockListeners.delete(listener);
+    }
+
+    dispose() {
+        this.transition++;
+        this.disarmGestures();
+
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        window.removeEventListener('pageshow', this.handlePageShow);
+
+        if (this.context) this.context.onstatechange = null;
+        this.listeners.clear();
+        this.unlockListeners.clear();
+    }
+}
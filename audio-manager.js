@@ -2,6 +2,137 @@
 // АУДИО МЕНЕДЖЕР
 // ============================================
 
+import { createChain, rampParam, fadeParam } from './audio-effects.js';
+import { synthesize } from './audio-synth.js';
+import AmbientScore from './ambient-score.js';
+import AudioAnalyser, { silentLevels } from './audio-analyser.js';
+import AudioLifecycle from './audio-lifecycle.js';
+
+// Шины микшера: у каждой своя громкость и общая цепочка эффектов
+export const AUDIO_BUSES = {
+    ambient: { volume: 1, filters: [] },
+    sfx: { volume: 1, filters: [] },
+    voice: { volume: 1, filters: [] }
+};
+
+// Политика воспроизведения звука; поля манифеста переопределяют значения
+export const PLAYBACK_DEFAULTS = {
+    selection: 'shuffle',   // 'shuffle' — мешок без повторов, 'random' — не дважды подряд, 'sequential'
+    polyphony: 4,           // Одновременных голосов звука (у зацикленных — 1)
+    priority: 0,            // Голос вытесняет только голоса с приоритетом не выше своего
+    variation: {            // Случайные множители [min, max] для каждого запуска
+        pitch: [1, 1],
+        volume: [1, 1]
+    }
+};
+
+// Фейды по умолчанию: длительности в секундах и кривая (см. FADE_CURVES)
+export const FADES = {
+    toggle: 0.6,        // Включение и выключение звука
+    volume: 0.1,        // Изменение громкости
+    stop: 0.4,          // Остановка звука
+    crossfade: 2,       // Смена зацикленного звука новым
+    curve: 'equal-power'
+};
+
+// Приглушение шины: атака и восстановление, с
+const DUCK_ATTACK = 0.15;
+const DUCK_RELEASE = 0.8;
+
+// Голосов на весь менеджер
+const MAX_VOICES = 24;
+
+// Затухание вытесненного голоса, с (без него слышен щелчок)
+const STEAL_FADE = 0.03;
+
+// Пространственный звук: экран — плоскость перед слушателем.
+// Позиции задаются долями экрана (0..1, ось Y вниз)
+export const SPATIAL = {
+    width: 4,           // Ширина экрана в единицах сцены
+    height: 3,          // Высота экрана
+    depth: 1,           // Расстояние от слушателя до плоскости экрана
+    offset: 0.35,       // Сдвиг звука без позиции от слушателя, доли ширины экрана
+    smoothing: 0.05     // Постоянная времени слежения слушателя за курсором, с
+};
+
+// Форматы файлов в порядке предпочтения при равной поддержке
+export const AUDIO_FORMATS = [
+    { extension: 'ogg', type: 'audio/ogg; codecs="vorbis"' },
+    { extension: 'mp3', type: 'audio/mpeg' },
+    { extension: 'm4a', type: 'audio/mp4; codecs="mp4a.40.2"' }
+];
+
+// Ожидание готовности потока, мс: дольше — считаем файл недоступным
+const STREAM_TIMEOUT = 8000;
+
+// Расширения, которые браузер может играть: сначала 'probably', затем 'maybe'
+export function detectFormats(formats = AUDIO_FORMATS) {
+    const probe = document.createElement('audio');
+    if (!probe || !probe.canPlayType) return formats.map(format => format.extension);
+    
+    const rank = { probably: 2, maybe: 1 };
+    return formats
+        .map((format, order) => ({ format, order, score: rank[probe.canPlayType(format.type)] || 0 }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(entry => entry.format.extension);
+}
+
+// Фоновая работа в простое браузера
+function scheduleIdle(callback) {
+    if (window.requestIdleCallback) {
+        window.requestIdleCallback(callback, { timeout: 2000 });
+    } else {
+        setTimeout(callback, 50);
+    }
+}
+
+// true — элемент может играть, false — ошибка или таймаут
+function waitForMedia(element, timeout = STREAM_TIMEOUT) {
+    return new Promise(resolve => {
+        const finish = (ready) => {
+            clearTimeout(timer);
+            element.removeEventListener('canplay', onReady);
+            element.removeEventListener('error', onError);
+            resolve(ready);
+        };
+        const onReady = () => finish(true);
+        const onError = () => finish(false);
+        const timer = setTimeout(onError, timeout);
+        
+        element.addEventListener('canplay', onReady);
+        element.addEventListener('error', onError);
+    });
+}
+
+// Случайное значение из [min, max]
+function randomIn([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+// Перемешанный мешок индексов; первым не выпадет прозвучавший последним
+function createBag(count, lastIndex) {
+    const bag = Array.from({ length: count }, (_, index) => index);
+    for (let i = bag.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [bag[i], bag[j]] = [bag[j], bag[i]];
+    }
+    
+    // Мешок расходуется с конца
+    if (bag[bag.length - 1] === lastIndex) {
+        [bag[0], bag[bag.length - 1]] = [bag[bag.length - 1], bag[0]];
+    }
+    
+    return bag;
+}
+
+// Кого вытеснить: низший приоритет, среди равных — самый старый
+function findVictim(voices, priority) {
+    return voices
+        .filter(voice => voice.priority <= priority)
+        .sort((a, b) => a.priority - b.priority || a.order - b.order)[0] || null;
+}
+
 export default class AudioManager {
     constructor() {
         this.context = null;
@@ -9,31 +140,95 @@ export default class AudioManager {
         this.enabled = true;
         this.masterVolume = 0.7;
         
+        // Шины по имени: { name, input, gain, chain }
+        this.buses = new Map();
+        
+        // Слушатель следует за курсором (доли экрана)
+        this.listenerPosition = { x: 0.5, y: 0.5 };
+        
+        // Звучащие голоса: { sound, source, gain, priority, order }
+        this.voices = new Set();
+        this.voiceOrder = 0;
+        
+        // Адаптивная музыка поверх эмбиента и последние сигналы для неё
+        this.score = null;
+        this.scoreSignals = {};
+        
+        // Отвод с masterGain для реакции картинки на звук
+        this.analyser = null;
+        
+        // Разблокировка жестом и пауза скрытой вкладки
+        this.lifecycle = null;
+        
+        // Форматы, которые играет браузер, и ленивая загрузка (CONFIG.performance.lazyAudio)
+        this.formats = detectFormats();
+        this.lazy = false;
+        
+        // Очередь фоновой догрузки вариаций: { sound, index, priority }
+        this.loadQueue = [];
+        this.queueBusy = false;
+        
+        // MediaElementSource по элементу <audio>
+        this.mediaSources = new Map();
+        
+        // Прогресс загрузки файлов и подписчики: (loaded, total, url) => void
+        this.loadProgress = { loaded: 0, total: 0 };
+        this.progressListeners = new Set();
+        
         // Манифест звуков
         this.manifest = {
             ambient: {
                 type: 'loop',
                 volume: 0.3,
-                path: 'assets/audio/ambient.ogg',
-                filters: ['lowpass']
+                path: 'assets/audio/ambient',
+                stream: 'ambientAudio',
+                loadPriority: 0,
+                bus: 'ambient',
+                priority: 10,
+                filters: ['lowpass'],
+                synth: { type: 'drone', frequency: 55, duration: 8 }
             },
             glitch: {
                 type: 'multiple',
                 volume: 0.5,
                 path: 'assets/audio/glitch/glitch_',
-                count: 8
+                count: 8,
+                loadPriority: 1,
+                bus: 'sfx',
+                polyphony: 3,
+                variation: { pitch: [0.85, 1.15], volume: [0.7, 1] },
+                synth: { type: 'noise' },
+                filters: [
+                    { type: 'highpass', frequency: 150 },
+                    { type: 'distortion', amount: 15 }
+                ]
             },
             whisper: {
                 type: 'multiple',
                 volume: 0.2,
                 path: 'assets/audio/whispers/whisper_',
                 count: 5,
-                spatial: true
+                loadPriority: 2,
+                spatial: true,
+                bus: 'voice',
+                polyphony: 2,
+                priority: 1,
+                variation: { pitch: [0.9, 1.05], volume: [0.8, 1] },
+                duck: { bus: 'ambient', amount: 0.4 },
+                synth: { type: 'whisper' },
+                filters: [
+                    { type: 'bandpass', frequency: 2500, Q: 0.7 },
+                    { type: 'reverb', duration: 4, decay: 3, mix: 0.5 }
+                ]
             }
         };
     }
     
-    async init() {
+    // options.contextTimeout — ожидание resume()/suspend() контекста, мс;
+    // options.lazy — декодировать вариации по требованию и в фоне
+    async init(options = {}) {
+        this.lazy = Boolean(options.lazy);
+        
         try {
             this.context = new (window.AudioContext || window.webkitAudioContext)();
             console.log('🎵 Аудиосистема инициализирована');
@@ -43,12 +238,63 @@ export default class AudioManager {
             this.masterGain.connect(this.context.destination);
             this.masterGain.gain.value = this.enabled ? this.masterVolume : 0;
             
+            this.createBuses();
+            this.analyser = new AudioAnalyser(this.context, this.masterGain);
+            
         } catch (error) {
             console.warn('Аудиоконтекст не доступен:', error);
             this.context = null;
         }
+        
+        // Без контекста жизненный цикл сообщит интерфейсу 'unavailable'
+        this.lifecycle = new AudioLifecycle(this, { timeout: options.contextTimeout }).attach();
+        this.lifecycle.onChange(state => this.syncStreams(state));
+    }
+    
+    // Состояние для интерфейса: 'locked' | 'running' | 'suspended' | 'unavailable'
+    get state() {
+        return this.lifecycle ? this.lifecycle.state : 'unavailable';
+    }
+    
+    // Шины: chain.input → эффекты → gain → masterGain
+    createBuses() {
+        Object.entries(AUDIO_BUSES).forEach(([name, config]) => {
+            const chain = createChain(this.context, config.filters);
+            const gain = this.context.createGain();
+            gain.gain.value = config.volume;
+            
+            // Отдельный узел приглушения не спорит с громкостью шины
+            const duck = this.context.createGain();
+            
+            chain.output.connect(gain);
+            gain.connect(duck);
+            duck.connect(this.masterGain);
+            
+            this.buses.set(name, { name, input: chain.input, gain, duck, duckAmount: 0, duckUntil: 0, chain });
+        });
+    }
+    
+    // Шина звука; без указания в манифесте — sfx
+    getBus(name) {
+        return this.buses.get(name) || this.buses.get('sfx');
+    }
+    
+    // Загрузка звуков по loadPriority манифеста: раньше — важнее
+    async loadSounds(keys) {
+        const order = (key) => {
+            const config = this.manifest[key];
+            return config && config.loadPriority !== undefined ? config.loadPriority : Infinity;
+        };
+        
+        const sorted = [...keys].sort((a, b) => order(a) - order(b));
+        for (const key of sorted) {
+            await this.loadSound(key);
+        }
     }
     
+    // Звук с потоком (manifest.stream — id <audio>) готов, когда элемент может играть.
+    // Ленивый режим только регистрирует буферный звук: вариации декодируются
+    // при первом запуске и в фоне; иначе загружаются все сразу
     async loadSound(key) {
         const config = this.manifest[key];
         if (!config) {
@@ -61,52 +307,293 @@ export default class AudioManager {
             return;
         }
         
+        // Уже загружен другой страницей (поток нельзя подключить к контексту дважды)
+        if (this.sounds.has(key)) return;
+        
         try {
-            let buffers = [];
+            const urls = [];
             
             if (config.type === 'multiple' && config.count) {
                 // Загружаем несколько файлов
-                const promises = [];
                 for (let i = 1; i <= config.count; i++) {
                     const paddedIndex = i.toString().padStart(2, '0');
-                    const url = `${config.path}${paddedIndex}.ogg`;
-                    promises.push(this.loadAudioBuffer(url));
+                    urls.push(`${config.path}${paddedIndex}`);
                 }
-                buffers = await Promise.all(promises);
             } else {
                 // Загружаем один файл
-                const buffer = await this.loadAudioBuffer(config.path);
-                buffers = [buffer];
+                urls.push(config.path);
             }
             
-            this.sounds.set(key, {
-                buffers,
+            // Цепочка эффектов звука общая для всех его голосов
+            const chain = createChain(this.context, config.filters);
+            chain.output.connect(this.getBus(config.bus).input);
+            
+            const sound = {
+                key,
+                urls,
+                buffers: urls.map(() => null),
+                loading: urls.map(() => null),
+                synthesized: 0,
+                stream: null,
                 config,
+                chain,
+                policy: this.resolvePolicy(config),
+                bag: [],
+                lastIndex: -1,
                 lastPlayed: 0,
                 sources: new Set()
-            });
+            };
             
-            console.log(`✅ Звук "${key}" загружен (${buffers.length} вариаций)`);
+            if (config.stream && await this.attachStream(sound)) {
+                this.sounds.set(key, sound);
+                console.log(`✅ Звук "${key}" подключён потоком (${sound.stream.element.currentSrc})`);
+                return;
+            }
+            
+            if (this.lazy) {
+                this.sounds.set(key, sound);
+                
+                // Звук с loadPriority 0 нужен сразу (эмбиент, если поток не загрузился):
+                // первая вариация готова до возврата, иначе play() сразу после загрузки промолчит
+                if (config.loadPriority === 0) {
+                    await this.loadVariant(sound, 0).catch(() => {});
+                }
+                
+                this.queueVariants(sound);
+                console.log(`💤 Звук "${key}" зарегистрирован (${urls.length} вариаций по требованию)`);
+                return;
+            }
+            
+            await Promise.all(urls.map((url, index) => this.loadVariant(sound, index)));
+            this.sounds.set(key, sound);
+            
+            if (sound.synthesized > 0) {
+                console.log(`🎛️ Звук "${key}": синтез вместо ${sound.synthesized} из ${urls.length} файлов`);
+            }
+            console.log(`✅ Звук "${key}" загружен (${urls.length} вариаций)`);
             
         } catch (error) {
             console.error(`❌ Ошибка загрузки звука "${key}":`, error);
         }
     }
     
-    async loadAudioBuffer(url) {
+    // Буфер вариации; повторные вызовы ждут ту же загрузку.
+    // Без файла звук синтезируется по параметрам synth из манифеста
+    loadVariant(sound, index) {
+        if (!sound.loading[index]) {
+            const { config } = sound;
+            const url = sound.urls[index];
+            
+            sound.loading[index] = this.loadAudioBuffer(url, config.formats).catch(error => {
+                if (!config.synth) {
+                    console.warn(`Не удалось загрузить ${url}:`, error);
+                    throw error;
+                }
+                
+                if (this.lazy && sound.synthesized === 0) {
+                    console.log(`🎛️ Звук "${sound.key}": файлов нет, вариации синтезируются`);
+                }
+                sound.synthesized++;
+                return synthesize(this.context, config.synth);
+            }).then(buffer => {
+                sound.buffers[index] = buffer;
+                return buffer;
+            });
+        }
+        
+        return sound.loading[index];
+    }
+    
+    // Фоновая догрузка вариаций в порядке loadPriority
+    queueVariants(sound) {
+        const priority = sound.config.loadPriority !== undefined ? sound.config.loadPriority : Infinity;
+        sound.urls.forEach((url, index) => this.loadQueue.push({ sound, index, priority }));
+        
+        // Сортировка устойчива: вариации одного звука остаются по порядку
+        this.loadQueue.sort((a, b) => a.priority - b.priority);
+        this.pumpQueue();
+    }
+    
+    // Одна вариация за раз и только в простое, чтобы не мешать запуску страницы
+    pumpQueue() {
+        if (this.queueBusy) return;
+        
+        const next = this.loadQueue.shift();
+        if (!next) return;
+        
+        this.queueBusy = true;
+        scheduleIdle(() => {
+            this.loadVariant(next.sound, next.index).catch(() => {}).then(() => {
+                this.queueBusy = false;
+                this.pumpQueue();
+            });
+        });
+    }
+    
+    // Буфер для запуска: выбранная вариация или, пока она грузится, любая готовая
+    takeBuffer(sound) {
+        const index = this.pickVariant(sound);
+        if (sound.buffers[index]) return sound.buffers[index];
+        
+        this.loadVariant(sound, index).catch(() => {});
+        return sound.buffers.find(Boolean) || null;
+    }
+    
+    // Файл по базовому адресу: форматы пробуются в порядке поддержки браузером
+    async loadAudioBuffer(url, formats) {
+        const candidates = this.resolveSources(url, formats);
+        this.loadProgress.total++;
+        this.reportProgress(null);
+        
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (candidates.length === 0) {
+                throw new Error('Браузер не поддерживает ни один аудиоформат');
             }
-            const arrayBuffer = await response.arrayBuffer();
-            return await this.context.decodeAudioData(arrayBuffer);
-        } catch (error) {
-            console.warn(`Не удалось загрузить ${url}:`, error);
-            throw error;
+            
+            let lastError = null;
+            for (const candidate of candidates) {
+                try {
+                    const response = await fetch(candidate);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    const arrayBuffer = await response.arrayBuffer();
+                    return await this.context.decodeAudioData(arrayBuffer);
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            throw lastError;
+        } finally {
+            // Неудачная загрузка тоже завершает свою долю прогресса
+            this.loadProgress.loaded++;
+            this.reportProgress(url);
+        }
+    }
+    
+    // Адреса файла по предпочтению: явное расширение или согласованные форматы
+    // (formats из манифеста — какие файлы лежат на сервере)
+    resolveSources(url, formats) {
+        if (/\.[a-z0-9]+$/i.test(url.split('/').pop())) return [url];
+        
+        const available = formats ? this.formats.filter(format => formats.includes(format)) : this.formats;
+        return available.map(format => `${url}.${format}`);
+    }
+    
+    // Поток из <audio>: MediaElementSource вместо декодирования целого файла
+    async attachStream(sound) {
+        const element = document.getElementById(sound.config.stream);
+        if (!element || !this.context.createMediaElementSource) return false;
+        
+        const candidates = this.resolveSources(sound.urls[0], sound.config.formats);
+        this.loadProgress.total++;
+        this.reportProgress(null);
+        
+        let ready = false;
+        for (const candidate of candidates) {
+            element.src = candidate;
+            element.load();
+            if (await waitForMedia(element)) {
+                ready = true;
+                break;
+            }
+        }
+        
+        this.loadProgress.loaded++;
+        this.reportProgress(sound.urls[0]);
+        
+        if (!ready) {
+            element.removeAttribute('src');
+            return false;
+        }
+        
+        // MediaElementSource создаётся один раз на элемент
+        if (!this.mediaSources.has(element)) {
+            this.mediaSources.set(element, this.context.createMediaElementSource(element));
+        }
+        
+        element.loop = sound.config.type === 'loop';
+        sound.stream = { element, node: this.mediaSources.get(element), handles: new Set() };
+        return true;
+    }
+    
+    // Источник-обёртка над потоком с интерфейсом AudioBufferSourceNode (connect/start/stop/onended).
+    // Элемент один на все запуски: он встаёт на паузу, когда остановлены все обёртки,
+    // и скорость (pitch) у них общая — последний запуск задаёт её для всех
+    createStreamSource(sound) {
+        const { stream } = sound;
+        const outputs = [];
+        let stopped = false;
+        
+        const handle = {
+            loop: false,
+            onended: null,
+            // Скорость элемента меняет и высоту: preservesPitch выключен
+            playbackRate: {
+                get value() {
+                    return stream.element.playbackRate;
+                },
+                set value(rate) {
+                    stream.element.preservesPitch = false;
+                    stream.element.playbackRate = rate;
+                }
+            },
+            connect: (destination) => {
+                stream.node.connect(destination);
+                outputs.push(destination);
+            },
+            start: () => {
+                stream.handles.add(handle);
+                if (this.state === 'running') this.playElement(stream.element);
+            },
+            stop: (when = 0) => {
+                if (stopped) return;
+                stopped = true;
+                
+                const delay = Math.max(0, when - this.context.currentTime) * 1000;
+                setTimeout(() => {
+                    outputs.forEach(output => stream.node.disconnect(output));
+                    stream.handles.delete(handle);
+                    if (stream.handles.size === 0) stream.element.pause();
+                    if (handle.onended) handle.onended();
+                }, delay);
+            }
+        };
+        
+        return handle;
+    }
+    
+    playElement(element) {
+        const playing = element.play();
+        if (playing) {
+            playing.catch(error => console.warn('Поток не запустился:', error.message));
         }
     }
     
+    // Потоки следуют за контекстом: на паузе элемент не тратит сеть и декодер
+    syncStreams(state) {
+        this.sounds.forEach(sound => {
+            if (!sound.stream || sound.stream.handles.size === 0) return;
+            
+            if (state === 'running') {
+                this.playElement(sound.stream.element);
+            } else {
+                sound.stream.element.pause();
+            }
+        });
+    }
+    
+    // Подписка на прогресс загрузки; возвращает функцию отписки
+    onProgress(listener) {
+        this.progressListeners.add(listener);
+        return () => this.progressListeners.delete(listener);
+    }
+    
+    reportProgress(url) {
+        const { loaded, total } = this.loadProgress;
+        this.progressListeners.forEach(listener => listener(loaded, total, url));
+    }
+    
     play(key, options = {}) {
         if (!this.enabled || !this.context) return null;
         
@@ -121,34 +608,58 @@ export default class AudioManager {
         const cooldown = options.cooldown || 100;
         if (now - sound.lastPlayed < cooldown) return null;
         
-        sound.lastPlayed = now;
+        // Ни одна вариация ещё не декодирована — звук пропускается, загрузка уже идёт
+        const buffer = sound.stream ? null : this.takeBuffer(sound);
+        if (!sound.stream && !buffer) return null;
         
-        // Выбираем случайный буфер
-        const buffer = sound.buffers.length > 1
-            ? sound.buffers[Math.floor(Math.random() * sound.buffers.length)]
-            : sound.buffers[0];
+        // Нет свободного голоса и вытеснить некого — звук пропускается
+        const { policy } = sound;
+        const priority = options.priority !== undefined ? options.priority : policy.priority;
+        if (!this.allocateVoice(sound, priority, policy.crossfade || STEAL_FADE)) return null;
         
-        // Создаём источник
-        const source = this.context.createBufferSource();
-        source.buffer = buffer;
+        sound.lastPlayed = now;
+        
+        // Создаём источник: буфер или обёртка над потоком
+        const source = sound.stream ? this.createStreamSource(sound) : this.context.createBufferSource();
+        if (buffer) source.buffer = buffer;
         
         // Создаём узел громкости для этого звука
         const gainNode = this.context.createGain();
         const volume = options.volume !== undefined ? options.volume : sound.config.volume;
-        gainNode.gain.value = volume;
+        const targetVolume = volume * randomIn(policy.variation.volume);
         
-        // Настраиваем pitch (скорость воспроизведения)
-        if (options.pitch) {
-            source.playbackRate.value = options.pitch;
+        // Зацикленные звуки появляются кроссфейдом с вытесненным предшественником
+        const fadeIn = options.fadeIn !== undefined ? options.fadeIn : policy.crossfade;
+        if (fadeIn > 0) {
+            gainNode.gain.value = 0;
+            fadeParam(gainNode.gain, targetVolume, fadeIn, options.curve || FADES.curve, this.context);
+        } else {
+            gainNode.gain.value = targetVolume;
         }
         
-        // Подключаем цепочку: source → gain → master → destination
+        // Настраиваем pitch (скорость воспроизведения)
+        source.playbackRate.value = (options.pitch || 1) * randomIn(policy.variation.pitch);
+        
+        // Подключаем цепочку: source → gain → [panner] → эффекты звука → шина → master
         source.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        
+        if (options.position || sound.config.spatial) {
+            const panner = this.createPanner(options.position || this.spatialPosition(sound));
+            gainNode.connect(panner);
+            panner.connect(sound.chain.input);
+        } else {
+            gainNode.connect(sound.chain.input);
+        }
         
         // Запускаем воспроизведение
         source.start();
         
+        // Звук может приглушать другую шину на время своего звучания
+        if (sound.config.duck && buffer) {
+            const { bus, amount } = sound.config.duck;
+            this.duck(bus, amount, source.buffer.duration / source.playbackRate.value);
+        }
+        
         // Для зацикленных звуков
         if (sound.config.type === 'loop') {
             source.loop = true;
@@ -157,79 +668,295 @@ export default class AudioManager {
         
         // Сохраняем источник для управления
         sound.sources.add(source);
+        const voice = { sound, source, gain: gainNode, priority, order: this.voiceOrder++ };
+        this.voices.add(voice);
         
         // Очистка после завершения
         source.onended = () => {
             sound.sources.delete(source);
+            this.voices.delete(voice);
         };
         
         return source;
     }
     
-    stop(key) {
+    // Политика воспроизведения из манифеста
+    resolvePolicy(config) {
+        return {
+            selection: config.selection || PLAYBACK_DEFAULTS.selection,
+            polyphony: config.polyphony || (config.type === 'loop' ? 1 : PLAYBACK_DEFAULTS.polyphony),
+            priority: config.priority !== undefined ? config.priority : PLAYBACK_DEFAULTS.priority,
+            crossfade: config.crossfade !== undefined ? config.crossfade : (config.type === 'loop' ? FADES.crossfade : 0),
+            variation: { ...PLAYBACK_DEFAULTS.variation, ...config.variation }
+        };
+    }
+    
+    // Индекс следующей вариации по политике selection
+    pickVariant(sound) {
+        const count = sound.buffers.length;
+        let index = 0;
+        
+        if (count > 1) {
+            if (sound.policy.selection === 'sequential') {
+                index = (sound.lastIndex + 1) % count;
+            } else if (sound.policy.selection === 'random') {
+                // Случайно среди всех, кроме прозвучавшей последней
+                index = Math.floor(Math.random() * (sound.lastIndex < 0 ? count : count - 1));
+                if (sound.lastIndex >= 0 && index >= sound.lastIndex) index++;
+            } else {
+                if (sound.bag.length === 0) sound.bag = createBag(count, sound.lastIndex);
+                index = sound.bag.pop();
+            }
+        }
+        
+        sound.lastIndex = index;
+        return index;
+    }
+    
+    // Место для нового голоса: сначала в пределах полифонии звука, затем общего лимита
+    allocateVoice(sound, priority, fade = STEAL_FADE) {
+        const own = [...this.voices].filter(voice => voice.sound === sound);
+        
+        if (own.length >= sound.policy.polyphony) {
+            const victim = findVictim(own, priority);
+            if (!victim) return false;
+            this.releaseVoice(victim, fade);
+        }
+        
+        if (this.voices.size >= MAX_VOICES) {
+            const victim = findVictim([...this.voices], priority);
+            if (!victim) return false;
+            this.releaseVoice(victim);
+        }
+        
+        return true;
+    }
+    
+    // Затухание и остановка голоса
+    releaseVoice(voice, fade = STEAL_FADE, curve = FADES.curve) {
+        const { sound, source, gain } = voice;
+        this.voices.delete(voice);
+        sound.sources.delete(source);
+        if (sound.loopSource === source) sound.loopSource = null;
+        
+        fadeParam(gain.gain, 0, fade, curve, this.context);
+        
+        try {
+            source.stop(this.context.currentTime + fade);
+        } catch (e) {
+            // Источник уже остановлен
+        }
+    }
+    
+    // Остановка звука с затуханием: options { duration (с), curve }
+    stop(key, options = {}) {
         const sound = this.sounds.get(key);
         if (!sound) return;
         
-        // Останавливаем все активные источники
-        sound.sources.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Источник уже остановлен
+        const duration = options.duration !== undefined ? options.duration : FADES.stop;
+        this.voices.forEach(voice => {
+            if (voice.sound === sound) {
+                this.releaseVoice(voice, duration, options.curve || FADES.curve);
             }
         });
-        sound.sources.clear();
         
-        // Останавливаем зацикленный звук
-        if (sound.loopSource) {
-            try {
-                sound.loopSource.stop();
-            } catch (e) {}
-            sound.loopSource = null;
-        }
+        sound.sources.clear();
+        sound.loopSource = null;
     }
     
-    stopAll() {
+    stopAll(options = {}) {
+        const duration = options.duration !== undefined ? options.duration : FADES.stop;
+        this.voices.forEach(voice => this.releaseVoice(voice, duration, options.curve || FADES.curve));
+        
         this.sounds.forEach(sound => {
-            sound.sources.forEach(source => {
-                try {
-                    source.stop();
-                } catch (e) {}
-            });
             sound.sources.clear();
-            
-            if (sound.loopSource) {
-                try {
-                    sound.loopSource.stop();
-                } catch (e) {}
-                sound.loopSource = null;
-            }
+            sound.loopSource = null;
         });
+        
+        this.stopScore(duration);
+    }
+    
+    // Смена одного зацикленного звука другим
+    crossfade(fromKey, toKey, duration = FADES.crossfade) {
+        this.stop(fromKey, { duration, curve: 'equal-power' });
+        return this.play(toKey, { fadeIn: duration, curve: 'equal-power' });
+    }
+    
+    // Уровни звука для текущего кадра: { low, mid, high, rms, flux, onset, pulse }
+    analyse() {
+        if (!this.analyser || !this.enabled) return silentLevels();
+        return this.analyser.update();
+    }
+    
+    // Запуск адаптивной музыки на шине ambient.
+    // options — настройки AmbientScore (root, maturityTime...); повторный вызов перенастраивает партитуру
+    startScore(options = {}) {
+        if (!this.context) return null;
+        
+        if (!this.score) {
+            this.score = new AmbientScore(this.context, this.getBus('ambient').input, options);
+            this.score.update(this.scoreSignals);
+        } else {
+            this.score.configure(options);
+        }
+        
+        this.score.start();
+        return this.score;
+    }
+    
+    // Сигналы посетителя: { tension, interactions, scrollDepth, timeSpent }
+    updateScore(signals) {
+        this.scoreSignals = { ...this.scoreSignals, ...signals };
+        if (this.score) this.score.update(this.scoreSignals);
     }
     
-    enable() {
+    stopScore(fade = 2) {
+        if (this.score) this.score.stop(fade);
+    }
+    
+    enable(duration = FADES.toggle) {
         this.enabled = true;
         if (this.masterGain) {
-            this.masterGain.gain.value = this.masterVolume;
+            fadeParam(this.masterGain.gain, this.masterVolume, duration, 'smooth', this.context);
         }
         console.log('🔊 Звук включен');
     }
     
-    disable() {
+    disable(duration = FADES.toggle) {
         this.enabled = false;
         if (this.masterGain) {
-            this.masterGain.gain.value = 0;
+            fadeParam(this.masterGain.gain, 0, duration, 'smooth', this.context);
         }
         console.log('🔇 Звук выключен');
     }
     
-    setVolume(volume) {
+    setVolume(volume, duration = FADES.volume) {
+        const previous = this.masterVolume;
         this.masterVolume = Math.max(0, Math.min(1, volume));
-        if (this.masterGain) {
-            this.masterGain.gain.value = this.masterVolume;
+        
+        // Та же громкость не должна перебивать идущий фейд enable()
+        if (this.masterGain && this.enabled && this.masterVolume !== previous) {
+            fadeParam(this.masterGain.gain, this.masterVolume, duration, 'linear', this.context);
         }
     }
     
+    // Приглушение шины на duration секунд: amount 0..1 — доля снижения громкости.
+    // Перекрывающиеся приглушения объединяются: глубина — наибольшая, конец — самый поздний
+    duck(name, amount, duration) {
+        const bus = this.buses.get(name);
+        if (!bus) return;
+        
+        const now = this.context.currentTime;
+        const active = bus.duckUntil > now;
+        const depth = Math.max(0, Math.min(1, active ? Math.max(amount, bus.duckAmount) : amount));
+        const until = Math.max(active ? bus.duckUntil : 0, now + DUCK_ATTACK + duration);
+        
+        bus.duckAmount = depth;
+        bus.duckUntil = until;
+        
+        const gain = bus.duck.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(1 - depth, now + DUCK_ATTACK);
+        gain.setValueAtTime(1 - depth, until);
+        gain.linearRampToValueAtTime(1, until + DUCK_RELEASE);
+    }
+    
+    // Координаты сцены для точки экрана { x, y, z? } (z — смещение от плоскости экрана)
+    toScene(position) {
+        return [
+            (position.x - 0.5) * SPATIAL.width,
+            (0.5 - position.y) * SPATIAL.height,
+            -SPATIAL.depth + (position.z || 0)
+        ];
+    }
+    
+    // Точка звука без позиции: position из манифеста или случайная сторона от слушателя.
+    // В точке самого слушателя HRTF не различает лево и право
+    spatialPosition(sound) {
+        if (sound.config.position) return sound.config.position;
+        
+        // Сторона случайная; у края экрана — та, где есть место
+        const { x, y } = this.listenerPosition;
+        const side = Math.random() < 0.5 ? -1 : 1;
+        const shifted = x + side * SPATIAL.offset;
+        return { x: shifted >= 0 && shifted <= 1 ? shifted : x - side * SPATIAL.offset, y };
+    }
+    
+    // HRTF-паннер в точке экрана
+    createPanner(position) {
+        const panner = this.context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 1;
+        panner.rolloffFactor = 1;
+        
+        const [x, y, z] = this.toScene(position);
+        if (panner.positionX) {
+            panner.positionX.value = x;
+            panner.positionY.value = y;
+            panner.positionZ.value = z;
+        } else {
+            panner.setPosition(x, y, z);
+        }
+        
+        return panner;
+    }
+    
+    // Положение слушателя (доли экрана); вызывается на движение мыши
+    setListenerPosition(x, y) {
+        this.listenerPosition = { x, y };
+        if (!this.context) return;
+        
+        const listener = this.context.listener;
+        const [sceneX, sceneY] = this.toScene(this.listenerPosition);
+        
+        if (listener.positionX) {
+            // Сглаживание убирает щелчки при резких движениях
+            const now = this.context.currentTime;
+            listener.positionX.setTargetAtTime(sceneX, now, SPATIAL.smoothing);
+            listener.positionY.setTargetAtTime(sceneY, now, SPATIAL.smoothing);
+        } else {
+            listener.setPosition(sceneX, sceneY, 0);
+        }
+    }
+    
+    // Громкость шины (duration в секундах — плавно)
+    setBusVolume(name, volume, duration = 0) {
+        const bus = this.buses.get(name);
+        if (!bus) return false;
+        
+        rampParam(bus.gain.gain, Math.max(0, volume), duration, this.context);
+        return true;
+    }
+    
+    // Параметр эффекта шины: setBusParam('voice', 'reverb', 'mix', 0.8, 2)
+    setBusParam(name, effect, param, value, duration = 0) {
+        const bus = this.buses.get(name);
+        return this.setChainParam(bus && bus.chain, effect, param, value, duration);
+    }
+    
+    // Параметр эффекта звука: setSoundParam('ambient', 'lowpass', 'frequency', 2000, 0.5)
+    setSoundParam(key, effect, param, value, duration = 0) {
+        const sound = this.sounds.get(key);
+        return this.setChainParam(sound && sound.chain, effect, param, value, duration);
+    }
+    
+    // Эффект звука для собственной автоматизации его AudioParam
+    getEffect(key, effect) {
+        const sound = this.sounds.get(key);
+        return sound ? sound.chain.effects.get(effect) || null : null;
+    }
+    
+    // Звук может быть ещё не загружен — тогда параметр просто не меняется
+    setChainParam(chain, effect, param, value, duration) {
+        const target = chain && chain.effects.get(effect);
+        if (!target) return false;
+        
+        target.set(param, value, duration);
+        return true;
+    }
+    
     isPlaying(key) {
         const sound = this.sounds.get(key);
         return sound && sound.sources.size > 0;
@@ -239,8 +966,11 @@ export default class AudioManager {
     // 1. Создайте папку assets/audio/
     // 2. Внутри создайте папки: glitch/ и whispers/
     // 3. Положите звуки с именами:
-    //    - ambient.ogg (фоновый гул)
+    //    - ambient.ogg (фоновый гул, играет потоком через <audio id="ambientAudio">)
     //    - glitch_01.ogg, glitch_02.ogg, ... (8 файлов)
     //    - whisper_01.ogg, whisper_02.ogg, ... (5 файлов)
-    // 4. Или измените пути в manifest выше под ваши файлы
+    // 4. Для Safari положите рядом .mp3 или .m4a с теми же именами: формат
+    //    выбирается через canPlayType. Если форматов меньше, укажите их в manifest
+    //    (formats: ['ogg', 'mp3']) — лишних запросов не будет
+    // 5. Или измените пути в manifest выше под ваши файлы
 }
\ No newline at end of file
@@ -0,0 +1,258 @@
+// ============================================
+// AUDIO SYNTH
+// Процедурные звуки на случай отсутствия файлов
+// ============================================
+
+// Параметры по умолчанию; [min, max] — случайное значение для каждой вариации
+export const SYNTH_DEFAULTS = {
+    // Гул: гармоники базовой частоты с медленной пульсацией
+    drone: {
+        duration: 8,                // Длина петли, с
+        frequency: 55,              // Базовая частота, Гц
+        partials: [1, 1.5, 2, 3, 4.02],
+        detune: 0.4,                // Расстройка правого канала, Гц (биения)
+        lfo: 0.125,                 // Частота пульсации, Гц
+        lfoDepth: 0.4,
+        gain: 0.5
+    },
+    // Глитч: зернистый шум с квадратным тоном и обрывами
+    noise: {
+        duration: [0.06, 0.3],
+        crush: [1, 12],             // Удержание отсчёта (понижение частоты дискретизации)
+        tone: [80, 1600],           // Частота квадратного тона, Гц
+        toneMix: 0.3,
+        gate: [0.01, 0.04],         // Длина обрывов, с
+        gain: 0.8
+    },
+    // Шёпот: шум через форманты гласных, слог за слогом
+    whisper: {
+        duration: [0.8, 1.6],
+        syllableRate: 4,            // Слогов в секунду
+        bandwidth: 90,              // Ширина формант, Гц
+        sibilance: 0.35,            // Доля шипящих в начале слога
+        gain: 0.6
+    }
+};
+
+// Форманты гласных F1, F2, F3 (Гц)
+const VOWELS = [
+    [700, 1200, 2600],  // а
+    [500, 900, 2500],   // о
+    [350, 800, 2300],   // у
+    [500, 1700, 2500],  // э
+    [300, 2300, 3000]   // и
+];
+
+// Относительная громкость формант
+const FORMANT_GAINS = [1, 0.6, 0.3];
+
+// Значение или случайное из диапазона [min, max]
+function pick(value) {
+    return Array.isArray(value) && value.length === 2 && typeof value[0] === 'number'
+        ? value[0] + Math.random() * (value[1] - value[0])
+        : value;
+}
+
+// Частота с целым числом периодов за duration — петля без щелчка на стыке
+function loopFrequency(frequency, duration) {
+    return Math.max(1, Math.round(frequency * duration)) / duration;
+}
+
+// Нормировка пика всех каналов к gain
+function normalize(buffer, gain) {
+    let peak = 0;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+    }
+
+    if (peak === 0) return buffer;
+
+    const scale = gain / peak;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= scale;
+        }
+    }
+
+    return buffer;
+}
+
+// Гул для зацикленного эмбиента
+export function renderDrone(context, params) {
+    const duration = pick(params.duration);
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(2, Math.floor(sampleRate * duration), sampleRate);
+
+    const base = loopFrequency(params.frequency, duration);
+    const lfo = loopFrequency(params.lfo, duration);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        const detune = channel === 1 ? params.detune : 0;
+
+        const partials = params.partials.map((ratio, index) => ({
+            frequency: loopFrequency(base * ratio + detune, duration),
+            amplitude: 1 / (index + 1),
+            phase: Math.random() * Math.PI * 2
+        }));
+
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+
+            let sample = 0;
+            partials.forEach(partial => {
+                sample += Math.sin(2 * Math.PI * partial.frequency * t + partial.phase) * partial.amplitude;
+            });
+
+            const pulse = 1 - params.lfoDepth / 2 + (params.lfoDepth / 2) * Math.sin(2 * Math.PI * lfo * t);
+            data[i] = sample * pulse;
+        }
+    }
+
+    return normalize(buffer, params.gain);
+}
+
+// Короткий шумовой всплеск для глитча
+export function renderNoiseBurst(context, params) {
+    const duration = pick(params.duration);
+    const crush = Math.max(1, Math.round(pick(params.crush)));
+    const tone = pick(params.tone);
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(2, Math.floor(sampleRate * duration), sampleRate);
+
+    const left = buffer.getChannelData(0);
+    const right = buffer.getChannelData(1);
+
+    let held = 0;
+    let gateOpen = true;
+    let gateLeft = 0;
+
+    for (let i = 0; i < left.length; i++) {
+        const t = i / sampleRate;
+
+        // Обрывы: сигнал случайно пропадает и возвращается
+        if (gateLeft <= 0) {
+            gateOpen = !gateOpen || Math.random() > 0.3;
+            gateLeft = Math.floor(pick(params.gate) * sampleRate);
+        }
+        gateLeft--;
+
+        if (i % crush === 0) held = Math.random() * 2 - 1;
+        const square = Math.sin(2 * Math.PI * tone * t) >= 0 ? 1 : -1;
+
+        // Мгновенная атака и экспоненциальное затухание
+        const envelope = Math.min(1, t / 0.002) * Math.exp(-t / (duration * 0.35));
+        const sample = (held * (1 - params.toneMix) + square * params.toneMix) * envelope * (gateOpen ? 1 : 0);
+
+        left[i] = sample;
+        right[i] = sample * (0.8 + Math.random() * 0.2);
+    }
+
+    return normalize(buffer, params.gain);
+}
+
+// Полосовой биквад (RBJ, пик 0 дБ)
+function bandpassCoefficients(frequency, bandwidth, sampleRate) {
+    const w0 = (2 * Math.PI * frequency) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * (frequency / bandwidth));
+    const a0 = 1 + alpha;
+
+    return {
+        b0: alpha / a0,
+        b2: -alpha / a0,
+        a1: (-2 * Math.cos(w0)) / a0,
+        a2: (1 - alpha) / a0
+    };
+}
+
+// Шёпот: шум через три форманты, гласная меняется от слога к слогу
+export function renderWhisper(context, params) {
+    const duration = pick(params.duration);
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(2, Math.floor(sampleRate * duration), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    const syllables = Math.max(1, Math.round(duration * params.syllableRate));
+    const vowels = Array.from({ length: syllables + 1 }, () => VOWELS[Math.floor(Math.random() * VOWELS.length)]);
+    const syllableLength = data.length / syllables;
+
+    // Состояние трёх фильтров (x1, x2, y1, y2)
+    const filters = FORMANT_GAINS.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0, coefficients: null }));
+    const COEFFICIENT_STEP = 64;
+
+    let previousNoise = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        const position = i / syllableLength;
+        const syllable = Math.min(Math.floor(position), syllables - 1);
+        const local = position - syllable;
+
+        // Коэффициенты пересчитываются блоками: форманты плавно скользят к следующей гласной
+        if (i % COEFFICIENT_STEP === 0) {
+            const from = vowels[syllable];
+            const to = vowels[syllable + 1];
+            const glide = local * local;
+
+            filters.forEach((filter, index) => {
+                const frequency = from[index] + (to[index] - from[index]) * glide;
+                filter.coefficients = bandpassCoefficients(frequency, params.bandwidth, sampleRate);
+            });
+        }
+
+        const noise = Math.random() * 2 - 1;
+
+        let voiced = 0;
+        filters.forEach((filter, index) => {
+            const { b0, b2, a1, a2 } = filter.coefficients;
+            const y = b0 * noise + b2 * filter.x2 - a1 * filter.y1 - a2 * filter.y2;
+
+            filter.x2 = filter.x1;
+            filter.x1 = noise;
+            filter.y2 = filter.y1;
+            filter.y1 = y;
+
+            voiced += y * FORMANT_GAINS[index];
+        });
+
+        // Шипящая в начале слога — высокочастотный шум
+        const hiss = (noise - previousNoise) * 0.5;
+        previousNoise = noise;
+        const sibilant = local < 0.2 ? (1 - local / 0.2) * params.sibilance : 0;
+
+        // Огибающая слога и общее появление/угасание
+        const syllableEnvelope = Math.pow(Math.sin(Math.PI * local), 2);
+        const t = i / data.length;
+        const envelope = Math.min(1, t / 0.05) * Math.min(1, (1 - t) / 0.15);
+
+        data[i] = (voiced * syllableEnvelope + hiss * sibilant) * envelope;
+    }
+
+    // Стерео: правый канал — тот же шёпот с лёгкой задержкой
+    const right = buffer.getChannelData(1);
+    const offset = Math.floor(sampleRate * 0.0004);
+    for (let i = 0; i < right.length; i++) {
+        right[i] = i >= offset ? data[i - offset] : 0;
+    }
+
+    return normalize(buffer, params.gain);
+}
+
+const RENDERERS = {
+    drone: renderDrone,
+    noise: renderNoiseBurst,
+    whisper: renderWhisper
+};
+
+// Синтез буфера по описанию из манифеста: { type: 'drone' | 'noise' | 'whisper', ...параметры }
+export function synthesize(context, synth) {
+    const render = RENDERERS[synth.type];
+    if (!render) {
+        throw new Error(`Неизвестный тип синтеза "${synth.type}"`);
+    }
+
+    return render(context, { ...SYNTH_DEFAULTS[synth.type], ...synth });
+}
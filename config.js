@@ -26,7 +26,8 @@ export const CONFIG = {
     timeouts: {
         maxLoadingTime: 10000, // 10 секунд максимум
         shaderCompilationTimeout: 5000,
-        audioContextTimeout: 3000
+        audioContextTimeout: 3000,
+        skipButtonDelay: 5000 // Кнопка пропуска загрузки
     }
 };
 
@@ -0,0 +1,310 @@
+// ============================================
+// FRAGMENTS
+// Скрытые обломки: условия появления, находки и их отображение
+// ============================================
+
+// Путешествия, к которым относятся обломки (фильтры архива)
+export const JOURNEYS = {
+    manifesto: 'Манифест'
+};
+
+// Подсказки к ещё не найденным обломкам по типу условия
+export const TRIGGER_HINTS = {
+    tension: 'Что-то случится, если не отпускать.',
+    hover: 'Одно из слов знает больше, чем говорит.',
+    scroll: 'Дочитайте до самого дна.',
+    time: 'Приходите в другое время.'
+};
+
+// Каталог обломков. type: 'text' | 'image' | 'sound', journey — ключ JOURNEYS
+// trigger:
+//   { type: 'tension', threshold, hold }  — удерживать точку натянутой hold мс
+//   { type: 'hover', word, count }         — навести на .word[data-word] count раз
+//   { type: 'scroll', depth }              — дочитать манифест до глубины 0..1
+//   { type: 'time', from, to }             — зайти в часы [from, to) по местному времени
+export const FRAGMENTS = [
+    {
+        id: 'limit',
+        type: 'text',
+        journey: 'manifesto',
+        title: 'Предел',
+        text: 'Точка не сдвигается. Сдвигаешься ты — и возвращаешься вместе с ней.',
+        trigger: { type: 'tension', threshold: 0.98, hold: 2000 }
+    },
+    {
+        id: 'rubble',
+        type: 'text',
+        journey: 'manifesto',
+        title: 'Разгребать',
+        text: 'Под каждым слоем — ещё один. Дно не цель, а отговорка.',
+        trigger: { type: 'hover', word: '14', count: 1 }
+    },
+    {
+        id: 'meaning',
+        type: 'sound',
+        journey: 'manifesto',
+        title: 'Смысл',
+        text: 'Если прислушаться к слову трижды, оно начинает шептать само.',
+        sound: { key: 'whisper', pitch: 0.7, volume: 0.4 },
+        trigger: { type: 'hover', word: '4', count: 3 }
+    },
+    {
+        id: 'what-is',
+        type: 'text',
+        journey: 'manifesto',
+        title: 'То, что есть',
+        text: 'Есть только это. И этого, как ни странно, достаточно, чтобы продолжать.',
+        trigger: { type: 'hover', word: '17', count: 1 }
+    },
+    {
+        id: 'bottom',
+        type: 'image',
+        journey: 'manifesto',
+        title: 'Дно текста',
+        text: 'Снимок помех на последней строке.',
+        src: 'assets/fragments/bottom.png',
+        trigger: { type: 'scroll', depth: 0.95 }
+    },
+    {
+        id: 'night',
+        type: 'text',
+        journey: 'manifesto',
+        title: 'Ночная смена',
+        text: 'В четыре утра статика громче. Может, это просто больше некому её перекрикивать.',
+        trigger: { type: 'time', from: 0, to: 5 }
+    }
+];
+
+// Путешествие со своими обломками (описание — в journeys/*.json, см. journey-engine.js).
+// Обломки с уже известными id пропускаются; возвращает обломки путешествия
+export function registerJourney(id, title, fragments = []) {
+    JOURNEYS[id] = title;
+
+    fragments.forEach(fragment => {
+        if (!FRAGMENTS.some(known => known.id === fragment.id)) {
+            FRAGMENTS.push({ ...fragment, journey: id });
+        }
+    });
+
+    return FRAGMENTS.filter(fragment => fragment.journey === id);
+}
+
+// Находки страницы поверх сохранённых. Каталог страницы может быть неполным
+// (лендинг не знает обломков путешествий), и чужие находки не должны теряться
+export function mergeFragmentRecords(stored = [], discovered = []) {
+    const merged = new Map(stored.map(record => [record.id, record]));
+    discovered.forEach(record => {
+        if (!merged.has(record.id)) merged.set(record.id, record);
+    });
+    return [...merged.values()].sort((a, b) => a.at - b.at);
+}
+
+// Проверка часов с переходом через полночь: { from: 22, to: 4 }
+export function isWithinHours(date, from, to) {
+    const hour = date.getHours();
+    return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+// Карточка обломка для показа при находке и в архиве
+export function createFragmentElement(fragment, record = null) {
+    const element = document.createElement('article');
+    element.className = `fragment fragment-${fragment.type}`;
+    element.dataset.fragment = fragment.id;
+
+    const title = document.createElement('h3');
+    title.className = 'fragment-title';
+    title.textContent = fragment.title;
+    element.appendChild(title);
+
+    if (fragment.type === 'image' && fragment.src) {
+        const image = document.createElement('img');
+        image.className = 'fragment-image';
+        image.src = fragment.src;
+        image.alt = fragment.text;
+        // Файла нет — остаётся подпись
+        image.addEventListener('error', () => image.remove());
+        element.appendChild(image);
+    }
+
+    const text = document.createElement('p');
+    text.className = 'fragment-text';
+    text.textContent = fragment.text;
+    element.appendChild(text);
+
+    if (record) {
+        const time = document.createElement('time');
+        time.className = 'fragment-time';
+        time.dateTime = new Date(record.at).toISOString();
+        time.textContent = new Date(record.at).toLocaleString('ru-RU');
+        element.appendChild(time);
+    }
+
+    return element;
+}
+
+// Карточка находки в углу экрана; скрывается по клику или через 6 секунд.
+// Карточки не перекрывают друг друга: следующая ждёт, пока скроется текущая
+let currentReveal = null;
+const revealQueue = [];
+
+export function showFragmentReveal(fragment, record, caption) {
+    if (currentReveal) {
+        revealQueue.push([fragment, record, caption]);
+        return;
+    }
+
+    const reveal = document.createElement('aside');
+    reveal.className = 'fragment-reveal';
+    reveal.setAttribute('role', 'status');
+
+    const label = document.createElement('div');
+    label.className = 'fragment-reveal-label';
+    label.textContent = caption;
+
+    reveal.append(label, createFragmentElement(fragment, record));
+    document.body.appendChild(reveal);
+    currentReveal = reveal;
+    requestAnimationFrame(() => reveal.classList.add('visible'));
+
+    const hide = () => {
+        if (currentReveal !== reveal) return;
+        currentReveal = null;
+
+        reveal.classList.remove('visible');
+        setTimeout(() => {
+            reveal.remove();
+            if (revealQueue.length > 0) showFragmentReveal(...revealQueue.shift());
+        }, 500);
+    };
+    reveal.addEventListener('click', hide, { once: true });
+    setTimeout(hide, 6000);
+}
+
+export default class FragmentSystem {
+    constructor(catalog = FRAGMENTS, options = {}) {
+        this.catalog = catalog;
+        this.clockInterval = options.clockInterval || 60000;   // Проверка часов, мс
+
+        // Найденные: id → { id, at (мс) }
+        this.discovered = new Map();
+        this.listeners = new Set();
+
+        // Счётчики наведений по data-word и таймеры удержания натяжения
+        this.hoverCounts = new Map();
+        this.holdTimers = new Map();
+        this.clock = null;
+    }
+
+    get count() {
+        return this.discovered.size;
+    }
+
+    get total() {
+        return this.catalog.length;
+    }
+
+    get(id) {
+        return this.catalog.find(fragment => fragment.id === id) || null;
+    }
+
+    isDiscovered(id) {
+        return this.discovered.has(id);
+    }
+
+    // Восстановление находок из сохранённого состояния; неизвестные id пропускаются
+    restore(records = []) {
+        records.forEach(record => {
+            if (this.get(record.id)) this.discovered.set(record.id, { id: record.id, at: record.at });
+        });
+        return this;
+    }
+
+    // Находки в порядке обнаружения для сохранения: [{ id, at }]
+    serialize() {
+        return [...this.discovered.values()].sort((a, b) => a.at - b.at);
+    }
+
+    // Проверка часов сразу и затем раз в clockInterval
+    start() {
+        this.checkTime();
+        if (!this.clock) {
+            this.clock = setInterval(() => this.checkTime(), this.clockInterval);
+        }
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.clock);
+        this.clock = null;
+        this.holdTimers.forEach(timer => clearTimeout(timer));
+        this.holdTimers.clear();
+    }
+
+    // Ненайденные обломки с триггером указанного типа
+    pending(type) {
+        return this.catalog.filter(fragment =>
+            fragment.trigger.type === type && !this.discovered.has(fragment.id)
+        );
+    }
+
+    // Натяжение точки 0..1: обломок находится, если продержать его у порога hold мс
+    setTension(value) {
+        this.pending('tension').forEach(fragment => {
+            const { threshold, hold } = fragment.trigger;
+            const timer = this.holdTimers.get(fragment.id);
+
+            if (value >= threshold && !timer) {
+                this.holdTimers.set(fragment.id, setTimeout(() => {
+                    this.holdTimers.delete(fragment.id);
+                    this.discover(fragment.id);
+                }, hold));
+            } else if (value < threshold && timer) {
+                clearTimeout(timer);
+                this.holdTimers.delete(fragment.id);
+            }
+        });
+    }
+
+    // Наведение на слово манифеста (значение data-word)
+    hoverWord(word) {
+        const count = (this.hoverCounts.get(word) || 0) + 1;
+        this.hoverCounts.set(word, count);
+
+        this.pending('hover').forEach(fragment => {
+            const { word: target, count: required = 1 } = fragment.trigger;
+            if (target === word && count >= required) this.discover(fragment.id);
+        });
+    }
+
+    // Глубина прокрутки манифеста 0..1
+    setScrollDepth(depth) {
+        this.pending('scroll').forEach(fragment => {
+            if (depth >= fragment.trigger.depth) this.discover(fragment.id);
+        });
+    }
+
+    checkTime(date = new Date()) {
+        this.pending('time').forEach(fragment => {
+            if (isWithinHours(date, fragment.trigger.from, fragment.trigger.to)) this.discover(fragment.id);
+        });
+    }
+
+    // Запись находки и оповещение; повторная находка ничего не делает
+    discover(id) {
+        const fragment = this.get(id);
+        if (!fragment || this.discovered.has(id)) return null;
+
+        const record = { id, at: Date.now() };
+        this.discovered.set(id, record);
+        console.log(`🧩 Найден обломок «${fragment.title}» (${this.count}/${this.total})`);
+
+        this.listeners.forEach(listener => listener(fragment, record));
+        return record;
+    }
+
+    // Подписка на находки: (fragment, record) => void; возвращает функцию отписки
+    onDiscover(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
@@ -0,0 +1,533 @@
+// ============================================
+// JOURNEY ENGINE
+// Путешествие из декларативного описания: текст, взаимодействия,
+// пресет шейдеров, звуковые сигналы и условия выхода
+// ============================================
+
+import { registerJourney, TRIGGER_HINTS } from './fragments.js';
+import {
+    revealParagraphs, setupWordHover, setupPointDrag, navigateWithTransition, MAX_POINT_DISTANCE
+} from './manifesto-mechanics.js';
+import { screenPosition } from './page-shell.js';
+
+// Описание путешествия (journeys/<id>.json):
+// {
+//   id: 'echo', title: 'Эхо', subtitle: ['строка', ...],
+//   sections: [{ id, paragraphs: ['текст', ...] }],
+//   point: { maxDistance, hint } | false,          — статичная точка и подсказка под текстом
+//   shader: { settings: { intensity, aberration, flicker }, passes: [...],
+//             effects: { имя: параметры }, particles: { emitters, forces } },
+//   audio: { sounds: { ключ: конфиг манифеста AudioManager }, preload: [...], score: { root, ... } },
+//   cues: [{ on, section, word, delay (мс), once, sound: { key, ...опции play() }, effect: { type, ... } }],
+//   fragments: [...как FRAGMENTS в fragments.js; journey подставляется],
+//   exit: { when: 'all' | 'any', conditions: [{ type, ... }], to, label, auto }
+// }
+// Слова нумеруются подряд через все разделы: data-word="1", "2"... — на номера
+// ссылаются cues с on: 'hover' и обломки с триггером hover
+
+// Список описаний для архива: массив путей к journeys/*.json
+export const JOURNEY_INDEX = 'journeys/index.json';
+
+// События для cues: detail — { section } | { word, element }
+export const CUE_EVENTS = ['start', 'section', 'hover', 'release', 'fragment', 'open', 'exit'];
+
+// Визуальная часть cue: { type, ... } → вызов ShaderEffects
+// position — точка экрана в долях (0..1, ось Y вниз); duration — в мс, как у ShaderEffects
+export const CUE_EFFECTS = {
+    burst: (shaders, effect, position) => shaders.triggerBurst({ ...position, color: effect.color, radius: effect.radius }),
+    glitch: (shaders, effect) => shaders.addGlitch({ amount: effect.amount, duration: effect.duration }),
+    distortion: (shaders, effect, position) => shaders.addDistortion({ ...position, ...effect }),
+    settings: (shaders, effect) => shaders.updateSettings(effect.settings || {})
+};
+
+// Условия выхода по сигналам путешествия
+// signals: { scrollDepth, interactions, elapsed (с), sections: Set, fragments, totalFragments }
+export const EXIT_CONDITIONS = {
+    scroll: (condition, signals) => signals.scrollDepth >= condition.depth,
+    interactions: (condition, signals) => signals.interactions >= condition.count,
+    time: (condition, signals) => signals.elapsed >= condition.seconds,
+    section: (condition, signals) => signals.sections.has(condition.section),
+    fragments: (condition, signals) =>
+        signals.fragments >= (condition.count !== undefined ? condition.count : signals.totalFragments)
+};
+
+// Частицы по умолчанию — как на лендинге: курсор расталкивает, точка закручивает
+const DEFAULT_PARTICLES = {
+    forces: {
+        cursor: { type: 'attractor', anchor: 'mouse', radius: 0.15, strength: -600 },
+        pointVortex: { type: 'vortex', anchor: 'point', radius: 0.3, strength: 400, pull: 60 },
+        drag: { type: 'drag', amount: 0.3 }
+    }
+};
+
+const DEFAULTS = {
+    subtitle: [],
+    point: { maxDistance: MAX_POINT_DISTANCE, hint: 'Попробуйте сдвинуть точку. Она всегда возвращается.' },
+    shader: { settings: {}, effects: {}, particles: DEFAULT_PARTICLES },
+    audio: { sounds: {}, preload: [], score: {} },
+    exit: { when: 'all', conditions: [], to: 'archive.html', label: 'Выйти из путешествия', auto: false }
+};
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Проверка описания: список ошибок вида 'путь: причина' (пустой — описание верно)
+export function validateJourney(description) {
+    if (!isObject(description)) return ['<root>: описание не является объектом'];
+
+    const errors = [];
+    const check = (condition, path, reason) => {
+        if (!condition) errors.push(`${path}: ${reason}`);
+    };
+
+    check(isString(description.id) && /^[a-z0-9-]+$/.test(description.id), 'id', 'латиница, цифры и дефис');
+    check(isString(description.title), 'title', 'нужна строка');
+
+    const sections = description.sections;
+    check(Array.isArray(sections) && sections.length > 0, 'sections', 'нужен хотя бы один раздел');
+    (Array.isArray(sections) ? sections : []).forEach((section, i) => {
+        check(isObject(section) && isString(section.id), `sections[${i}].id`, 'нужна строка');
+        check(isObject(section) && Array.isArray(section.paragraphs) && section.paragraphs.every(isString),
+            `sections[${i}].paragraphs`, 'нужен массив строк');
+    });
+
+    (description.cues || []).forEach((cue, i) => {
+        check(isObject(cue) && CUE_EVENTS.includes(cue.on), `cues[${i}].on`, `одно из: ${CUE_EVENTS.join(', ')}`);
+        if (cue && cue.sound) check(isString(cue.sound.key), `cues[${i}].sound.key`, 'нужен ключ звука');
+        if (cue && cue.effect) check(Boolean(CUE_EFFECTS[cue.effect.type]), `cues[${i}].effect.type`, 'неизвестный эффект');
+    });
+
+    (description.fragments || []).forEach((fragment, i) => {
+        check(isObject(fragment) && isString(fragment.id), `fragments[${i}].id`, 'нужна строка');
+        check(isObject(fragment) && isObject(fragment.trigger) && Boolean(TRIGGER_HINTS[fragment.trigger.type]),
+            `fragments[${i}].trigger.type`, `одно из: ${Object.keys(TRIGGER_HINTS).join(', ')}`);
+    });
+
+    const exit = description.exit;
+    if (exit !== undefined) {
+        check(isObject(exit), 'exit', 'нужен объект');
+        if (isObject(exit)) {
+            check(exit.when === undefined || ['all', 'any'].includes(exit.when), 'exit.when', "'all' или 'any'");
+            (exit.conditions || []).forEach((condition, i) => {
+                check(isObject(condition) && Boolean(EXIT_CONDITIONS[condition.type]),
+                    `exit.conditions[${i}].type`, `одно из: ${Object.keys(EXIT_CONDITIONS).join(', ')}`);
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Описание с подставленными значениями по умолчанию
+export function normalizeJourney(description) {
+    const shader = { ...DEFAULTS.shader, ...description.shader };
+    const audio = { ...DEFAULTS.audio, ...description.audio };
+
+    return {
+        ...description,
+        subtitle: description.subtitle || DEFAULTS.subtitle,
+        point: description.point === false ? null : { ...DEFAULTS.point, ...description.point },
+        shader,
+        audio,
+        cues: description.cues || [],
+        fragments: description.fragments || [],
+        exit: { ...DEFAULTS.exit, ...description.exit }
+    };
+}
+
+// Загрузка, проверка и регистрация обломков путешествия
+export async function loadJourney(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Путешествие ${url} не загружено: HTTP ${response.status}`);
+    }
+
+    const description = await response.json();
+    const errors = validateJourney(description);
+    if (errors.length > 0) {
+        throw new Error(`Описание путешествия ${url} неверно — ${errors.join('; ')}`);
+    }
+
+    const journey = normalizeJourney(description);
+    journey.fragments = registerJourney(journey.id, journey.title, journey.fragments);
+    return journey;
+}
+
+// Все путешествия из JOURNEY_INDEX (для архива). Неудачные пропускаются с предупреждением
+export async function loadJourneyCatalog(index = JOURNEY_INDEX) {
+    let urls = [];
+    try {
+        const response = await fetch(index);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        urls = await response.json();
+    } catch (error) {
+        console.warn(`Список путешествий ${index} не загружен:`, error.message);
+        return [];
+    }
+
+    const results = await Promise.allSettled(urls.map(url => loadJourney(url)));
+    return results
+        .filter(result => {
+            if (result.status === 'rejected') console.warn('🧭', result.reason.message);
+            return result.status === 'fulfilled';
+        })
+        .map(result => result.value);
+}
+
+export default class JourneyEngine {
+    // options: { root — контейнер страницы, settings: () => настройки страницы,
+    //            fragments — FragmentSystem с обломками путешествия }
+    constructor(journey, options = {}) {
+        this.journey = journey;
+        this.root = options.root;
+        this.settings = options.settings || (() => ({}));
+        this.fragments = options.fragments || null;
+
+        // Сигналы для музыки и условий выхода; elapsed — секунды на видимой странице
+        this.signals = {
+            tension: 0,
+            scrollDepth: 0,
+            interactions: 0,
+            elapsed: 0,
+            sections: new Set()
+        };
+
+        this.dom = {};
+        this.firedCues = new Set();
+        this.exitOpen = false;
+        this.clock = null;
+        this.listeners = new Set();
+
+        // Снимается в stop(): обработчики документа, наблюдатель разделов, отложенные cues
+        // и подписка на обломки
+        this.abort = null;
+        this.observer = null;
+        this.timers = new Set();
+        this.unsubscribeFragments = null;
+
+        this.handleScroll = () => this.updateScrollDepth();
+    }
+
+    // Разметка страницы из описания; классы те же, что у манифеста лендинга
+    build() {
+        const { journey } = this;
+        this.root.innerHTML = '';
+
+        if (journey.point) {
+            const point = document.createElement('div');
+            point.className = 'static-point';
+            point.innerHTML = '<div class="point-core"></div><div class="point-aura"></div>';
+            this.root.appendChild(point);
+            this.dom.point = point;
+        }
+
+        const article = document.createElement('article');
+        article.className = 'manifesto-container journey-container';
+        article.dataset.journey = journey.id;
+        article.append(this.buildHeader(), this.buildSections(), this.buildFooter());
+        this.root.appendChild(article);
+
+        this.dom.article = article;
+        this.dom.sections = article.querySelectorAll('.text-section');
+        this.dom.words = article.querySelectorAll('.word');
+        this.dom.exit = article.querySelector('.journey-exit');
+        this.dom.audioToggle = article.querySelector('.journey-audio');
+
+        document.title = `${journey.title} | Метаморфозы`;
+        return this.dom;
+    }
+
+    buildHeader() {
+        const header = document.createElement('header');
+        header.className = 'manifesto-header';
+
+        const title = document.createElement('h1');
+        title.className = 'manifesto-title';
+        title.dataset.text = this.journey.title;
+        title.textContent = this.journey.title;
+        header.appendChild(title);
+
+        if (this.journey.subtitle.length > 0) {
+            const subtitle = document.createElement('div');
+            subtitle.className = 'manifesto-subtitle';
+            this.journey.subtitle.forEach(line => {
+                const span = document.createElement('span');
+                span.className = 'subtitle-line';
+                span.textContent = line;
+                subtitle.appendChild(span);
+            });
+            header.appendChild(subtitle);
+        }
+
+        return header;
+    }
+
+    // Разделы → параграфы → слова с номерами через всё путешествие
+    buildSections() {
+        const content = document.createElement('div');
+        content.className = 'manifesto-content';
+
+        let wordIndex = 0;
+        let paragraphIndex = 0;
+
+        this.journey.sections.forEach(section => {
+            const container = document.createElement('div');
+            container.className = 'text-section';
+            container.dataset.section = section.id;
+
+            section.paragraphs.forEach(text => {
+                const paragraph = document.createElement('p');
+                paragraph.className = 'manifesto-paragraph';
+                paragraph.dataset.index = String(++paragraphIndex);
+
+                text.split(/\s+/).filter(Boolean).forEach((token, i) => {
+                    if (i > 0) paragraph.appendChild(document.createTextNode(' '));
+
+                    const word = document.createElement('span');
+                    word.className = 'word';
+                    word.dataset.word = String(++wordIndex);
+                    word.textContent = token;
+                    paragraph.appendChild(word);
+                });
+
+                container.appendChild(paragraph);
+            });
+
+            content.appendChild(container);
+        });
+
+        return content;
+    }
+
+    buildFooter() {
+        const footer = document.createElement('footer');
+        footer.className = 'manifesto-footer';
+
+        if (this.journey.point && this.journey.point.hint) {
+            const hint = document.createElement('div');
+            hint.className = 'navigation-hint';
+            hint.innerHTML = '<div class="hint-text"></div>';
+            hint.firstChild.textContent = this.journey.point.hint;
+            footer.appendChild(hint);
+        }
+
+        const nav = document.createElement('nav');
+        nav.className = 'main-navigation';
+
+        // Выход закрыт, пока не выполнены условия exit
+        const exit = document.createElement('a');
+        exit.className = 'nav-button journey-exit';
+        exit.href = this.journey.exit.to;
+        exit.setAttribute('aria-disabled', 'true');
+        exit.innerHTML = '<span class="button-text"></span><span class="button-glow"></span>';
+        exit.firstChild.textContent = this.journey.exit.label;
+
+        const info = document.createElement('div');
+        info.className = 'nav-info';
+        info.innerHTML = `
+            <button class="info-button journey-audio" aria-label="Включить звук">
+                <span class="icon">🔇</span>
+                <span class="label">Звук</span>
+            </button>`;
+
+        nav.append(exit, info);
+        footer.appendChild(nav);
+        return footer;
+    }
+
+    // Пресет ShaderEffects (см. applyPreset): настройки посетителя, поверх них — характер
+    // путешествия (intensity, aberration, flicker из shader.settings), проходы, эффекты и частицы
+    shaderPreset(settings) {
+        const { shader } = this.journey;
+        return {
+            settings: { ...settings, ...shader.settings },
+            passes: shader.passes,
+            effects: shader.effects,
+            particles: shader.particles
+        };
+    }
+
+    // Звуки путешествия дополняют манифест AudioManager до загрузки
+    registerSounds(audioManager) {
+        Object.assign(audioManager.manifest, this.journey.audio.sounds);
+        return ['ambient', 'glitch', 'whisper', ...Object.keys(this.journey.audio.sounds), ...this.journey.audio.preload]
+            .filter((key, i, keys) => keys.indexOf(key) === i);
+    }
+
+    // Механика манифеста поверх построенной разметки
+    start() {
+        const { dom, journey } = this;
+        this.abort = new AbortController();
+
+        this.observer = revealParagraphs(dom.sections, (section) => {
+            this.signals.sections.add(section.dataset.section);
+            this.cue('section', { section: section.dataset.section });
+            this.checkExit();
+        });
+
+        setupWordHover(dom.words, {
+            settings: this.settings,
+            onHover: (word) => {
+                if (this.fragments) this.fragments.hoverWord(word.dataset.word);
+                this.cue('hover', { word: word.dataset.word, element: word });
+            }
+        });
+
+        if (dom.point) {
+            setupPointDrag(dom.point, {
+                settings: this.settings,
+                maxDistance: journey.point.maxDistance,
+                signal: this.abort.signal,
+                onMove: (pointX, pointY, resistance) => this.setTension(resistance),
+                onRelease: () => {
+                    this.setTension(0);
+                    this.signals.interactions++;
+                    this.cue('release', { element: dom.point });
+                    this.checkExit();
+                }
+            });
+        }
+
+        if (this.fragments) {
+            this.unsubscribeFragments = this.fragments.onDiscover(() => {
+                this.cue('fragment');
+                this.checkExit();
+            });
+        }
+
+        dom.exit.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.exitOpen) this.leave();
+        });
+
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        // Время считается только пока страница видна
+        this.clock = setInterval(() => {
+            if (document.visibilityState !== 'visible') return;
+            this.signals.elapsed++;
+            this.notify();
+            this.checkExit();
+        }, 1000);
+
+        console.log(`🧭 Путешествие «${journey.title}»: ${dom.sections.length} разд., ${dom.words.length} слов`);
+        this.cue('start');
+        this.checkExit();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.clock);
+        this.clock = null;
+        window.removeEventListener('scroll', this.handleScroll);
+
+        if (this.abort) this.abort.abort();
+        if (this.observer) this.observer.disconnect();
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        if (this.unsubscribeFragments) {
+            this.unsubscribeFragments();
+            this.unsubscribeFragments = null;
+        }
+    }
+
+    setTension(tension) {
+        this.signals.tension = tension;
+        if (this.fragments) this.fragments.setTension(tension);
+        this.notify();
+    }
+
+    // Глубина прокрутки текста: 0 — начало, 1 — конец
+    updateScrollDepth() {
+        const rect = this.dom.article.getBoundingClientRect();
+        const scrollable = Math.max(1, rect.height - window.innerHeight);
+        this.signals.scrollDepth = Math.max(0, Math.min(1, -rect.top / scrollable));
+
+        if (this.fragments) this.fragments.setScrollDepth(this.signals.scrollDepth);
+        this.notify();
+        this.checkExit();
+    }
+
+    // Запуск cues события. По умолчанию cue срабатывает один раз; once: false — каждый раз.
+    // Отложенные cues выхода звучат уже после stop() и не отменяются
+    cue(event, detail = {}) {
+        this.journey.cues.forEach((cue, index) => {
+            if (cue.on !== event) return;
+            if (cue.section !== undefined && cue.section !== detail.section) return;
+            if (cue.word !== undefined && String(cue.word) !== detail.word) return;
+            if (cue.once !== false && this.firedCues.has(index)) return;
+
+            this.firedCues.add(index);
+            const run = () => this.runCue(cue, detail);
+            if (cue.delay && event === 'exit') {
+                setTimeout(run, cue.delay);
+            } else if (cue.delay) {
+                const timer = setTimeout(() => {
+                    this.timers.delete(timer);
+                    run();
+                }, cue.delay);
+                this.timers.add(timer);
+            } else {
+                run();
+            }
+        });
+    }
+
+    runCue(cue, detail) {
+        const position = detail.element ? screenPosition(detail.element) : undefined;
+
+        if (cue.sound && window.audioManager) {
+            const { key, ...options } = cue.sound;
+            window.audioManager.play(key, { ...options, position });
+        }
+
+        if (cue.effect && window.shaderEffects) {
+            CUE_EFFECTS[cue.effect.type](window.shaderEffects, cue.effect, position || { x: 0.5, y: 0.5 });
+        }
+    }
+
+    // Сигналы для условий выхода
+    exitSignals() {
+        return {
+            ...this.signals,
+            fragments: this.fragments ? this.fragments.count : 0,
+            totalFragments: this.fragments ? this.fragments.total : 0
+        };
+    }
+
+    // Открытие выхода: все условия (when: 'all') или любое (when: 'any'); без условий — сразу
+    checkExit() {
+        if (this.exitOpen) return;
+
+        const { when, conditions, auto } = this.journey.exit;
+        const signals = this.exitSignals();
+        const met = conditions.map(condition => EXIT_CONDITIONS[condition.type](condition, signals));
+        const open = when === 'any' ? met.some(Boolean) : met.every(Boolean);
+        if (!open) return;
+
+        this.exitOpen = true;
+        this.dom.exit.classList.add('unlocked');
+        this.dom.exit.removeAttribute('aria-disabled');
+        console.log('🚪 Выход из путешествия открыт');
+
+        this.cue('open');
+        if (auto) this.leave();
+    }
+
+    leave() {
+        this.stop();
+        this.cue('exit');
+        navigateWithTransition(this.journey.exit.to);
+    }
+
+    // Подписка на сигналы: (signals) => void; возвращает функцию отписки
+    onSignals(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.signals));
+    }
+}
@@ -0,0 +1,277 @@
+// ============================================
+// ПУТЕШЕСТВИЕ
+// Страница journey-*.html: описание берётся из data-journey у <body>
+// ============================================
+
+// Импорты
+import { sharedAudio, initSharedAudio, initSharedEffects, hideEffectCanvases } from './shared-systems.js';
+import {
+    detectFastMode, setupAudioToggle, updateAudioToggle, playAmbient, setupDocumentListeners,
+    announceFragment, announceThreshold
+} from './page-shell.js';
+import { definePage } from './router.js';
+import StateStorage, { SessionClock, DEFAULT_SETTINGS } from './state-storage.js';
+import FragmentSystem, { mergeFragmentRecords } from './fragments.js';
+import JourneyEngine, { loadJourney, loadJourneyCatalog } from './journey-engine.js';
+import ProgressModel, { applyUnlocks } from './progress.js';
+import { CONFIG } from './config.js';
+
+// Состояние страницы
+const JourneyState = {
+    // Сохранённая запись целиком: поля других страниц не теряются при сохранении
+    record: null,
+    settings: { ...DEFAULT_SETTINGS },
+    
+    // Взаимодействия до этой страницы; свои считает движок
+    baseInteractions: 0,
+    
+    // Быстрый режим: без шейдеров и звука (как на лендинге)
+    fastMode: false
+};
+
+// DOM элементы
+const DOM = {};
+
+const storage = new StateStorage();
+const sessionClock = new SessionClock();
+
+// Вехи и пороги прогресса по всем путешествиям
+const progressModel = new ProgressModel();
+
+// Описание, движок и обломки путешествия (создаются в initJourney)
+let journey = null;
+let engine = null;
+let fragments = null;
+
+// Последнее натяжение, переданное фильтру эмбиента
+let ambientTension = 0;
+
+// Обработчики документа и подписки на общие системы снимаются при уходе со страницы
+let listeners = null;
+let subscriptions = [];
+
+// Страница для роутера: каждое путешествие — тот же модуль с другим data-journey
+export default definePage({
+    async mount() {
+        console.log('%c🧭 ПУТЕШЕСТВИЕ', 'font-size: 18px; color: #ffff00;');
+        
+        try {
+            await initJourney();
+            console.log('✅ Путешествие готово');
+        } catch (error) {
+            console.error('❌ Ошибка инициализации путешествия:', error);
+            showJourneyError(error);
+        }
+    },
+    unmount: unmountJourney
+});
+
+async function initJourney() {
+    DOM.root = document.getElementById('journeyContent');
+    JourneyState.fastMode = detectFastMode();
+    listeners = new AbortController();
+    sessionClock.start();
+    
+    // Каталог остальных путешествий нужен прогрессу
+    const [loaded] = await Promise.all([
+        loadJourney(document.body.dataset.journey),
+        loadJourneyCatalog(),
+        loadState()
+    ]);
+    journey = loaded;
+    
+    // Каталог страницы — только обломки этого путешествия
+    fragments = new FragmentSystem(journey.fragments);
+    fragments.restore(JourneyState.record.progress.fragments || []);
+    
+    engine = new JourneyEngine(journey, {
+        root: DOM.root,
+        settings: () => JourneyState.settings,
+        fragments
+    });
+    const dom = engine.build();
+    DOM.audioToggle = dom.audioToggle;
+    
+    setupEventListeners();
+    
+    await Promise.all([
+        initAudio(),
+        initEffects()
+    ]);
+    
+    engine.onSignals((signals) => {
+        updateScore(signals);
+        updateProgress();
+    });
+    fragments.onDiscover(revealFragment);
+    subscriptions.push(progressModel.onThreshold(revealThreshold));
+    engine.start();
+    fragments.start();
+    
+    // Порог, пересечённый на другой странице, объявляется здесь
+    updateProgress();
+    
+    DOM.root.style.opacity = '1';
+    saveState();
+}
+
+// Уход через роутер: механика останавливается, звук и эффекты играют дальше
+function unmountJourney() {
+    if (engine) engine.stop();
+    if (fragments) fragments.stop();
+    listeners.abort();
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+    
+    // Фильтр эмбиента не остаётся раскрытым на следующей странице
+    if (ambientTension > 0 && window.audioManager) {
+        ambientTension = 0;
+        window.audioManager.setSoundParam('ambient', 'lowpass', 'frequency', 800, 1.2);
+    }
+    
+    const saving = saveState();
+    sessionClock.pause();
+    engine = null;
+    fragments = null;
+    return saving;
+}
+
+// Загрузка прогресса и настроек
+async function loadState() {
+    const record = (await storage.load()) || { progress: {}, settings: {} };
+    record.progress = record.progress || {};
+    
+    JourneyState.record = record;
+    JourneyState.settings = { ...JourneyState.settings, ...record.settings };
+    JourneyState.baseInteractions = record.progress.interactions || 0;
+    
+    // Пороги — вместе с записью: сохранение не потеряет их, даже если описание не загрузится
+    progressModel.restore(record.progress);
+}
+
+// Сохранение: время, взаимодействия и настройки поверх загруженной записи
+function saveState() {
+    const { record } = JourneyState;
+    if (!record) return;
+    
+    record.progress.timeSpent = (record.progress.timeSpent || 0) + sessionClock.take();
+    if (engine) {
+        record.progress.interactions = JourneyState.baseInteractions + engine.signals.interactions;
+    }
+    record.progress.unlocks = progressModel.serialize();
+    record.settings = JourneyState.settings;
+    return storage.save(record);
+}
+
+// Находка обломка: запись поверх чужих находок, вспышка, звук и карточка
+function revealFragment(fragment, record) {
+    const { progress } = JourneyState.record;
+    progress.fragments = mergeFragmentRecords(progress.fragments, fragments.serialize());
+    progress.fragmentsDiscovered = progress.fragments.length;
+    updateProgress();
+    saveState();
+    
+    announceFragment(fragment, record, `Обломок путешествия ${fragments.count}/${fragments.total}`);
+}
+
+// Пересчёт прогресса: взаимодействия и время страницы ещё не записаны в record
+function updateProgress() {
+    const { progress } = JourneyState.record;
+    
+    progressModel.update({
+        ...progress,
+        interactions: JourneyState.baseInteractions + engine.signals.interactions,
+        timeSpent: (progress.timeSpent || 0) + sessionClock.pending
+    });
+}
+
+// Пересечённый порог: сохранение, затем слой эффектов, вспышка, звук и карточка
+function revealThreshold(threshold, record) {
+    saveState();
+    announceThreshold(threshold, record);
+}
+
+// Сигналы движка → адаптивная музыка; натяжение раскрывает фильтр эмбиента
+function updateScore(signals) {
+    const manager = window.audioManager;
+    if (!manager) return;
+    
+    if (signals.tension !== ambientTension) {
+        ambientTension = signals.tension;
+        manager.setSoundParam('ambient', 'lowpass', 'frequency',
+            800 + ambientTension * 3200, ambientTension > 0 ? 0.1 : 1.2);
+    }
+    
+    manager.updateScore({
+        tension: signals.tension,
+        interactions: JourneyState.baseInteractions + signals.interactions,
+        scrollDepth: signals.scrollDepth,
+        timeSpent: ((JourneyState.record.progress.timeSpent || 0) + sessionClock.pending) / 1000
+    });
+}
+
+function setupEventListeners() {
+    const { signal } = listeners;
+    
+    setupAudioToggle(DOM.audioToggle, {
+        settings: () => JourneyState.settings,
+        onEnable: startAmbient,
+        onChange: saveState
+    });
+    
+    setupDocumentListeners({ signal, sessionClock, save: saveState });
+}
+
+// Звук: манифест дополняется звуками путешествия
+async function initAudio() {
+    sharedAudio();
+    updateAudioToggle(DOM.audioToggle, JourneyState.settings.audioEnabled);
+    if (JourneyState.fastMode) return;
+    
+    const manager = await initSharedAudio();
+    if (!JourneyState.settings.audioEnabled) {
+        manager.disable(0);
+    }
+    
+    const { lifecycle } = manager;
+    subscriptions.push(
+        lifecycle.onChange(() => updateAudioToggle(DOM.audioToggle, JourneyState.settings.audioEnabled)),
+        lifecycle.onUnlock(startAmbient)
+    );
+    
+    await manager.loadSounds(engine.registerSounds(manager));
+    startAmbient();
+}
+
+// Эмбиент и музыка с настройками партитуры путешествия (audio.score)
+function startAmbient() {
+    if (playAmbient(JourneyState.settings.audioEnabled, journey.audio.score)) updateScore(engine.signals);
+}
+
+// Шейдеры и частицы по пресету путешествия
+async function initEffects() {
+    const { settings } = JourneyState;
+    
+    if (!settings.effectsEnabled || JourneyState.fastMode || CONFIG.initialization.skipShaders) {
+        hideEffectCanvases();
+        return;
+    }
+    
+    const effects = await initSharedEffects(engine.shaderPreset(settings));
+    applyUnlocks(effects, progressModel.unlockedThresholds());
+}
+
+// Описание не загрузилось или неверно: сообщение вместо текста
+function showJourneyError(error) {
+    if (!DOM.root) return;
+    
+    DOM.root.innerHTML = `
+        <article class="manifesto-container journey-error">
+            <h1 class="manifesto-title">Путешествие потерялось</h1>
+            <p class="manifesto-paragraph"></p>
+            <a href="index.html" class="nav-button"><span class="button-text">К манифесту</span></a>
+        </article>
+    `;
+    DOM.root.querySelector('.manifesto-paragraph').textContent = error.message;
+    DOM.root.style.opacity = '1';
+}
@@ -0,0 +1,161 @@
+// ============================================
+// LOADING SCREEN
+// Этапы загрузки, реальный прогресс и кнопка пропуска
+// ============================================
+
+// Этапы в порядке data-step разметки; weight — доля в общей полосе
+export const LOADING_STEPS = [
+    { id: 'core', weight: 0.1 },      // Ядро: DOM и сохранённое состояние
+    { id: 'audio', weight: 0.35 },    // Загрузка аудиобуферов
+    { id: 'shaders', weight: 0.4 },   // Компиляция шейдеров
+    { id: 'space', weight: 0.15 }     // Текстуры и запуск
+];
+
+export default class LoadingScreen {
+    constructor(options = {}) {
+        this.root = options.root || null;
+        this.maxTime = options.maxTime || 10000;
+        this.skipDelay = options.skipDelay !== undefined ? options.skipDelay : 5000;
+
+        // Состояние этапов: { id, weight, element, progress 0..1, status }
+        this.steps = (options.steps || LOADING_STEPS).map((step, index) => ({
+            ...step,
+            element: this.root ? this.root.querySelector(`[data-step="${index + 1}"]`) : null,
+            progress: 0,
+            status: 'pending'
+        }));
+
+        this.bar = this.root ? this.root.querySelector('.loading-bar') : null;
+        this.skipButton = this.root ? this.root.querySelector('#skipLoading') : null;
+
+        // Чем закончилась загрузка: 'complete' | 'timeout' | 'skip'
+        this.outcome = null;
+        this.resolveOutcome = null;
+        this.timers = [];
+        this.handleSkip = () => this.finish('skip');
+    }
+
+    // Общий прогресс 0..1 с учётом весов этапов
+    get progress() {
+        const total = this.steps.reduce((sum, step) => sum + step.weight, 0);
+        const done = this.steps.reduce((sum, step) => sum + step.weight * step.progress, 0);
+        return total > 0 ? done / total : 1;
+    }
+
+    get finished() {
+        return this.outcome !== null;
+    }
+
+    // Запуск таймеров: кнопка пропуска и предельное время загрузки
+    start() {
+        // Полоса показывает реальный прогресс вместо бесконечной анимации
+        if (this.bar) this.bar.classList.add('determinate');
+        this.render();
+
+        if (this.skipButton) {
+            this.skipButton.addEventListener('click', this.handleSkip);
+            this.timers.push(setTimeout(() => {
+                this.skipButton.classList.add('visible');
+            }, this.skipDelay));
+        }
+
+        this.timers.push(setTimeout(() => this.finish('timeout'), this.maxTime));
+        return this;
+    }
+
+    getStep(id) {
+        return this.steps.find(step => step.id === id);
+    }
+
+    // Этап начался
+    begin(id) {
+        const step = this.getStep(id);
+        if (!step || step.status !== 'pending') return;
+
+        step.status = 'active';
+        this.render();
+    }
+
+    // Доля выполнения этапа (этап становится активным)
+    setProgress(id, fraction) {
+        const step = this.getStep(id);
+        if (!step || step.status === 'completed') return;
+
+        step.status = 'active';
+        step.progress = Math.max(step.progress, Math.min(Math.max(fraction, 0), 1));
+        this.render();
+    }
+
+    // Прогресс в штуках: done из total (файлы, программы, текстуры)
+    track(id, done, total) {
+        this.setProgress(id, total > 0 ? done / total : 0);
+    }
+
+    // Этап завершён (или пропущен — например, аудио в быстром режиме)
+    complete(id) {
+        const step = this.getStep(id);
+        if (!step) return;
+
+        step.status = 'completed';
+        step.progress = 1;
+        this.render();
+    }
+
+    // Ожидание задачи загрузки, таймаута или пропуска — что наступит раньше.
+    // Задача продолжается в фоне: загруженное позже подключится само
+    wait(task) {
+        const outcome = new Promise(resolve => {
+            this.resolveOutcome = resolve;
+            if (this.outcome) resolve(this.outcome);
+        });
+
+        const loading = Promise.resolve(task).then(() => {
+            this.steps.forEach(step => this.complete(step.id));
+            this.finish('complete');
+        }, (error) => {
+            // Ошибку показывает вызывающий код, таймаут больше не нужен
+            this.clearTimers();
+            throw error;
+        });
+
+        return Promise.race([outcome, loading.then(() => this.outcome)]);
+    }
+
+    // Завершение загрузки с указанной причиной (повторные вызовы игнорируются)
+    finish(reason) {
+        if (this.outcome) return;
+
+        this.outcome = reason;
+        this.clearTimers();
+
+        if (this.skipButton) {
+            this.skipButton.removeEventListener('click', this.handleSkip);
+            this.skipButton.classList.remove('visible');
+        }
+
+        if (reason !== 'complete') {
+            const pending = this.steps.filter(step => step.status !== 'completed').map(step => step.id);
+            console.warn(`⏭️ Загрузка прервана (${reason}), не готово: ${pending.join(', ')}`);
+        }
+
+        if (this.resolveOutcome) this.resolveOutcome(reason);
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    // Классы шагов и ширина полосы
+    render() {
+        this.steps.forEach(step => {
+            if (!step.element) return;
+            step.element.classList.toggle('active', step.status === 'active');
+            step.element.classList.toggle('completed', step.status === 'completed');
+        });
+
+        if (this.bar) {
+            this.bar.style.width = `${Math.round(this.progress * 100)}%`;
+        }
+    }
+}
@@ -3,8 +3,21 @@
 // ============================================
 
 // Импорты
-import AudioManager from './audio-manager.js';
-import ShaderEffects from './shader-effects.js';
+import { sharedAudio, initSharedAudio, initSharedEffects, hideEffectCanvases } from './shared-systems.js';
+import {
+    detectFastMode, setupAudioToggle, updateAudioToggle, playAmbient, setupDocumentListeners,
+    announceFragment, announceThreshold
+} from './page-shell.js';
+import { definePage } from './router.js';
+import LoadingScreen from './loading-screen.js';
+import StateStorage, { SessionClock, DEFAULT_SETTINGS } from './state-storage.js';
+import FragmentSystem, { FRAGMENTS, mergeFragmentRecords } from './fragments.js';
+import ProgressModel, { applyUnlocks } from './progress.js';
+import { loadJourneyCatalog } from './journey-engine.js';
+import {
+    setupPointDrag, setupWordHover, revealParagraphs, setPointAnchor, navigateWithTransition
+} from './manifesto-mechanics.js';
+import { CONFIG } from './config.js';
 
 // Глобальное состояние
 const AppState = {
@@ -13,33 +26,71 @@ const AppState = {
         visitedPages: new Set(['index']),
         timeSpent: 0,
         interactions: 0,
-        fragmentsDiscovered: 0
+        fragmentsDiscovered: 0,
+        fragments: [],          // Находки обломков: [{ id, at }]
+        sessions: 0
     },
     
     // Настройки
-    settings: {
-        audioEnabled: true,
-        effectsEnabled: true,
-        flickerIntensity: 0.3,
-        aberrationAmount: 0.5,
-        particleDensity: 0.7,
-        reduceMotion: false
+    settings: { ...DEFAULT_SETTINGS },
+    
+    // Режим производительности (быстрый режим и CONFIG.initialization)
+    performance: {
+        shaders: true,
+        complexAnimations: true,
+        audio: true
+    },
+    
+    // Мгновенные сигналы для адаптивной музыки
+    signals: {
+        tension: 0,     // Натяжение статичной точки 0..1
+        scrollDepth: 0  // Глубина прокрутки манифеста 0..1
     },
     
     // Система
     isMobile: false,
     isTouch: false,
-    isLoaded: false,
-    startTime: Date.now()
+    isLoaded: false
+};
+
+// Поведение частиц лендинга (фоновый эмиттер добавляет startParticles)
+const PARTICLE_PRESET = {
+    forces: {
+        // Курсор расталкивает частицы
+        cursor: { type: 'attractor', anchor: 'mouse', radius: 0.15, strength: -600 },
+        // Воронка вокруг статичной точки
+        pointVortex: { type: 'vortex', anchor: 'point', radius: 0.3, strength: 400, pull: 60 },
+        // Лёгкое сопротивление среды
+        drag: { type: 'drag', amount: 0.3 }
+    }
 };
 
 // DOM элементы
 
 const DOM = {};
+
+// Экран загрузки (создаётся в initApp)
+let loader = null;
+
+// Обработчики документа, таймеры и подписки на общие системы снимаются при уходе со страницы
+let listeners = null;
+let subscriptions = [];
+
+// Хранилище состояния и активное время текущей сессии
+const storage = new StateStorage();
+const sessionClock = new SessionClock();
+// Прогресс сброшен: до перезагрузки ничего не сохраняем
+let stateReset = false;
+
+// Скрытые обломки лендинга — только манифест: обломки путешествий попадают в FRAGMENTS
+// при загрузке каталога, но их условия относятся к другим страницам
+const fragments = new FragmentSystem(FRAGMENTS.filter(fragment => fragment.journey === 'manifesto'));
+
+// Вехи и пороги прогресса (считаются по всем путешествиям)
+const progressModel = new ProgressModel();
+
 // БЫСТРАЯ ИНИЦИАЛИЗАЦИЯ - УПРОЩЕННЫЙ РЕЖИМ
-const fastMode = localStorage.getItem('fastMode') || 
-                 window.location.search.includes('fast') ||
-                 navigator.connection?.saveData;
+const fastMode = detectFastMode();
 
 if (fastMode) {
     console.log('🌀 Быстрый режим активирован');
@@ -52,38 +103,70 @@ if (fastMode) {
     };
 }
 
-// Инициализация при загрузке
-document.addEventListener('DOMContentLoaded', async () => {
-    console.log('%c🌀 МЕТАМОРФОЗЫ', 'font-size: 24px; color: #ff00ff;');
-    console.log('Психоделическое измерение инициализируется...');
-    
-    try {
-        await initApp();
-        console.log('✅ Приложение готово');
-    } catch (error) {
-        console.error('❌ Ошибка инициализации:', error);
-        showErrorScreen(error);
-    }
+// Страница для роутера: первая загрузка документа и каждый возврат на лендинг
+export default definePage({
+    async mount({ initial }) {
+        console.log('%c🌀 МЕТАМОРФОЗЫ', 'font-size: 24px; color: #ff00ff;');
+        console.log('Психоделическое измерение инициализируется...');
+        
+        try {
+            await initApp(initial);
+            console.log('✅ Приложение готово');
+        } catch (error) {
+            console.error('❌ Ошибка инициализации:', error);
+            showErrorScreen(error);
+        }
+    },
+    unmount: unmountApp
 });
 
-// Основная функция инициализации
-async function initApp() {
+// Основная функция инициализации. initial — первая страница документа:
+// после перехода роутера звук и эффекты уже работают, экран загрузки не нужен
+async function initApp(initial) {
     // 1. Определение устройства
-    detectDevice();
+    if (initial) {
+        detectDevice();
+        detectPerformanceMode();
+    }
     
     // 2. Загрузка DOM элементов
     cacheDOM();
+    listeners = new AbortController();
+    sessionClock.start();
+    
+    if (!initial && DOM.loadingScreen) {
+        DOM.loadingScreen.style.display = 'none';
+    }
+    
+    // Экран загрузки и его таймаут — только при загрузке документа
+    loader = initial ? new LoadingScreen({
+        root: DOM.loadingScreen,
+        maxTime: CONFIG.timeouts.maxLoadingTime,
+        skipDelay: CONFIG.timeouts.skipButtonDelay
+    }).start() : null;
+    loader?.begin('core');
     
-    // 3. Загрузка состояния
-    loadState();
+    // 3. Загрузка состояния (сессию открывает роутер при загрузке документа)
+    await loadState();
+    loader?.complete('core');
     
-    // 4. Инициализация систем
-    await Promise.all([
+    // 4. Инициализация систем. По таймауту или кнопке пропуска стартуем
+    // с тем, что уже готово; остальное догрузится в фоне
+    const systems = Promise.all([
         initAudio(),
         initEffects(),
         initUI()
     ]);
     
+    if (loader) {
+        const outcome = await loader.wait(systems);
+        if (outcome !== 'complete') {
+            systems.catch(error => console.error('❌ Фоновая инициализация не удалась:', error));
+        }
+    } else {
+        await systems;
+    }
+    
     // 5. Настройка событий
     setupEventListeners();
     
@@ -93,10 +176,36 @@ async function initApp() {
     // 7. Показ контента
     showContent();
     
+    // 8. Обломки: часы проверяются сразу, остальные условия — по событиям
+    subscriptions.push(fragments.onDiscover(revealFragment));
+    fragments.start();
+    
+    // 9. Прогресс: порог, пересечённый на другой странице, объявляется здесь
+    subscriptions.push(
+        progressModel.onChange(updateProgressDisplay),
+        progressModel.onThreshold(revealThreshold)
+    );
+    updateProgress();
+    
     AppState.isLoaded = true;
     saveState();
 }
 
+// Уход через роутер: механика останавливается, звук и эффекты играют дальше
+function unmountApp() {
+    listeners.abort();
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+    fragments.stop();
+    
+    // Фильтр эмбиента не остаётся раскрытым на следующей странице
+    if (AppState.signals.tension > 0) setAmbientTension(0);
+    
+    const saving = saveState();
+    sessionClock.pause();
+    return saving;
+}
+
 // Определение устройства
 function detectDevice() {
     AppState.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -120,6 +229,18 @@ function detectDevice() {
     console.log(`Устройство: ${AppState.isMobile ? 'Мобильное' : 'Десктоп'}, Touch: ${AppState.isTouch}`);
 }
 
+// Режим производительности: что из тяжёлого запускать в этой сессии
+function detectPerformanceMode() {
+    const fast = window.FAST_MODE;
+    
+    AppState.performance = {
+        shaders: !CONFIG.initialization.skipShaders && !(fast && fast.shaders === false),
+        complexAnimations: !CONFIG.initialization.skipComplexAnimations &&
+                           !(fast && fast.complexAnimations === false),
+        audio: !(fast && fast.audio === false)
+    };
+}
+
 // Кэширование DOM элементов
 function cacheDOM() {
     DOM.loadingScreen = document.getElementById('loadingScreen');
@@ -131,6 +252,7 @@ function cacheDOM() {
     DOM.settingsPanel = document.getElementById('settingsPanel');
     DOM.closeSettings = document.getElementById('closeSettings');
     DOM.progressValue = document.getElementById('progressValue');
+    DOM.manifesto = document.querySelector('.manifesto-container');
     
     // Все параграфы текста
     DOM.paragraphs = document.querySelectorAll('.manifesto-paragraph');
@@ -144,95 +266,106 @@ function cacheDOM() {
     DOM.resetProgress = document.getElementById('resetProgress');
 }
 
-// Загрузка состояния из localStorage
-function loadState() {
-    try {
-        const saved = localStorage.getItem('metamorphoses_state');
-        if (saved) {
-            const state = JSON.parse(saved);
-            
-            // Восстанавливаем прогресс
-            if (state.progress) {
-                AppState.progress = {
-                    ...AppState.progress,
-                    ...state.progress,
-                    visitedPages: new Set(state.progress.visitedPages || ['index']),
-                    fragmentsDiscovered: state.progress.fragmentsDiscovered || 0
-                };
-            }
-            
-            // Восстанавливаем настройки
-            if (state.settings) {
-                AppState.settings = { ...AppState.settings, ...state.settings };
-            }
-            
-            console.log('Состояние загружено');
-            updateProgressDisplay();
+// Загрузка состояния (версия схемы, миграции и проверка — в state-storage.js).
+// Каталог путешествий нужен прогрессу: без него лендинг знает только манифест
+async function loadState() {
+    const [state] = await Promise.all([storage.load(), loadJourneyCatalog()]);
+    
+    if (state) {
+        // Восстанавливаем прогресс
+        if (state.progress) {
+            AppState.progress = {
+                ...AppState.progress,
+                ...state.progress,
+                visitedPages: new Set(state.progress.visitedPages || ['index'])
+            };
         }
-    } catch (e) {
-        console.warn('Не удалось загрузить состояние:', e);
+        
+        // Восстанавливаем настройки
+        if (state.settings) {
+            AppState.settings = { ...AppState.settings, ...state.settings };
+        }
+        
+        console.log('Состояние загружено');
     }
+    
+    fragments.restore(AppState.progress.fragments);
+    AppState.progress.fragmentsDiscovered = AppState.progress.fragments.length;
+    progressModel.restore(AppState.progress);
+    updateProgressDisplay();
 }
 
 // Сохранение состояния
 function saveState() {
-    try {
-        const state = {
-            progress: {
-                ...AppState.progress,
-                visitedPages: Array.from(AppState.progress.visitedPages),
-                timeSpent: AppState.progress.timeSpent + (Date.now() - AppState.startTime)
-            },
-            settings: AppState.settings,
-            lastSaved: Date.now()
-        };
-        
-        localStorage.setItem('metamorphoses_state', JSON.stringify(state));
-    } catch (e) {
-        console.warn('Не удалось сохранить состояние:', e);
-    }
+    if (stateReset) return;
+    
+    // Время сессии прибавляется к итогу ровно один раз: take() обнуляет накопленное
+    AppState.progress.timeSpent += sessionClock.take();
+    
+    return storage.save({
+        progress: {
+            ...AppState.progress,
+            visitedPages: Array.from(AppState.progress.visitedPages),
+            unlocks: progressModel.serialize()
+        },
+        settings: AppState.settings
+    });
 }
 
 // Инициализация аудио
 async function initAudio() {
-    window.audioManager = new AudioManager();
-    
-    // Загружаем звуки
-    await window.audioManager.loadSound('ambient');
-    await window.audioManager.loadSound('glitch');
-    await window.audioManager.loadSound('whisper');
-    
-    // Автовоспроизведение после взаимодействия
-    document.addEventListener('click', () => {
-        if (AppState.settings.audioEnabled && !window.audioManager.isPlaying('ambient')) {
-            window.audioManager.play('ambient');
-            updateAudioToggle(true);
-        }
-    }, { once: true });
+    const manager = sharedAudio();
+    
+    if (!AppState.performance.audio) {
+        loader?.complete('audio');
+        return;
+    }
+    
+    loader?.begin('audio');
+    subscriptions.push(manager.onProgress((loaded, total) => loader?.track('audio', loaded, total)));
+    await initSharedAudio();
+    
+    // Контекст стартует по первому жесту; кнопка показывает его состояние
+    const { lifecycle } = manager;
+    subscriptions.push(
+        lifecycle.onChange(() => updateAudioToggle(DOM.audioToggle, AppState.settings.audioEnabled)),
+        lifecycle.onUnlock(startAmbient)
+    );
+    
+    // Порядок задаёт loadPriority манифеста. При lazyAudio ждём только поток эмбиента,
+    // буферы эффектов декодируются по требованию и в фоне
+    await manager.loadSounds(['ambient', 'glitch', 'whisper']);
+    loader?.complete('audio');
+    
+    // Жест мог случиться во время загрузки
+    startAmbient();
 }
 
-// Инициализация эффектов
+// Эмбиент и музыка, как только есть звук, разрешение браузера и желание пользователя
+function startAmbient() {
+    if (!AppState.performance.audio) return;
+    if (playAmbient(AppState.settings.audioEnabled)) updateScore();
+}
+
+// Инициализация эффектов (общие для всех страниц, см. shared-systems.js)
 async function initEffects() {
-    if (AppState.settings.effectsEnabled && window.ShaderEffects) {
-        window.shaderEffects = new ShaderEffects({
-            canvas: document.getElementById('shaderCanvas'),
-            particleCanvas: document.getElementById('particleCanvas'),
-            settings: AppState.settings
+    if (AppState.settings.effectsEnabled && AppState.performance.shaders) {
+        loader?.begin('shaders');
+        await initSharedEffects({ settings: AppState.settings, particles: PARTICLE_PRESET }, {
+            onProgress: (stage, done, total) => {
+                loader?.track(stage === 'textures' ? 'space' : 'shaders', done, total);
+            }
         });
-        
-        await window.shaderEffects.init();
-        
-        // Запускаем эффекты только если инициализация успешна
-        if (window.shaderEffects.settings.enabled) {
-            window.shaderEffects.start();
-            window.shaderEffects.startParticles();
-        }
+        applyUnlocks(window.shaderEffects, progressModel.unlockedThresholds());
+        setPointAnchor(0, 0);
+        loader?.complete('shaders');
+        loader?.complete('space');
     } else {
         // Скрываем канвасы если эффекты отключены
-        const shaderCanvas = document.getElementById('shaderCanvas');
-        const particleCanvas = document.getElementById('particleCanvas');
-        if (shaderCanvas) shaderCanvas.style.display = 'none';
-        if (particleCanvas) particleCanvas.style.display = 'none';
+        hideEffectCanvases();
+        
+        loader?.complete('shaders');
+        loader?.complete('space');
     }
 }
 
@@ -253,11 +386,13 @@ function initUI() {
     }
     
     // Обновляем кнопку аудио
-    updateAudioToggle(AppState.settings.audioEnabled);
+    updateAudioToggle(DOM.audioToggle, AppState.settings.audioEnabled);
 }
 
 // Настройка обработчиков событий
 function setupEventListeners() {
+    const { signal } = listeners;
+    
     // Интерактивная точка
     if (DOM.staticPoint) {
         setupPointInteractions();
@@ -269,9 +404,11 @@ function setupEventListeners() {
     }
     
     // Управление аудио
-    if (DOM.audioToggle) {
-        DOM.audioToggle.addEventListener('click', toggleAudio);
-    }
+    setupAudioToggle(DOM.audioToggle, {
+        settings: () => AppState.settings,
+        onEnable: startAmbient,
+        onChange: applySettings
+    });
     
     // Настройки
     if (DOM.settingsButton) {
@@ -323,308 +460,107 @@ function setupEventListeners() {
     // Интерактивность текста
     setupTextInteractions();
     
-    // Автосохранение при выходе
-    window.addEventListener('beforeunload', saveState);
+    // Курсор, время на видимой вкладке и автосохранение
+    setupDocumentListeners({ signal, sessionClock, save: saveState });
     
-    // Автосохранение каждые 30 секунд
-    setInterval(saveState, 30000);
-
-    // В функции setupEventListeners добавьте:
-    document.addEventListener('mousemove', (e) => {
-    if (window.shaderEffects && window.shaderEffects.settings.enabled) {
-        window.shaderEffects.updateMousePosition(e.clientX, e.clientY);
-    }
-});
+    // Музыка следует за прокруткой манифеста и временем на странице
+    window.addEventListener('scroll', updateScrollDepth, { passive: true, signal });
+    const scoreClock = setInterval(updateScore, 1000);
+    
+    // Порог может пересечь и время на сайте
+    const progressClock = setInterval(updateProgress, 10000);
+    
+    signal.addEventListener('abort', () => {
+        clearInterval(scoreClock);
+        clearInterval(progressClock);
+    });
 }
 
-// Взаимодействие с точкой
+// Взаимодействие с точкой (механика — в manifesto-mechanics.js)
 function setupPointInteractions() {
-    let isDragging = false;
-    let dragStart = { x: 0, y: 0 };
-    let originalTransform = '';
-    
-    DOM.staticPoint.addEventListener('mousedown', startDrag);
-    DOM.staticPoint.addEventListener('touchstart', startDrag);
-    
-    function startDrag(e) {
-        if (AppState.settings.reduceMotion) return;
-        
-        isDragging = true;
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-        
-        dragStart = { x: clientX, y: clientY };
-        originalTransform = DOM.staticPoint.style.transform;
-        
-        DOM.staticPoint.classList.add('dragging');
-        
-        // Звук начала перетаскивания
-        window.audioManager.play('glitch', { volume: 0.3 });
-        
-        e.preventDefault();
-    }
-    
-    document.addEventListener('mousemove', drag);
-    document.addEventListener('touchmove', drag);
-    
-    function drag(e) {
-        if (!isDragging) return;
-        
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-        
-        const deltaX = clientX - dragStart.x;
-        const deltaY = clientY - dragStart.y;
-        
-        // Ограничиваем перемещение
-        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
-        const maxDistance = 150;
-        
-        if (distance > maxDistance) {
-            const angle = Math.atan2(deltaY, deltaX);
-            const limitedX = Math.cos(angle) * maxDistance;
-            const limitedY = Math.sin(angle) * maxDistance;
+    setupPointDrag(DOM.staticPoint, {
+        settings: () => AppState.settings,
+        signal: listeners.signal,
+        onMove: (pointX, pointY, resistance) => {
+            setAmbientTension(resistance);
+            fragments.setTension(resistance);
+        },
+        onRelease: () => {
+            setAmbientTension(0);
+            fragments.setTension(0);
             
-            DOM.staticPoint.style.transform = `translate(calc(-50% + ${limitedX}px), calc(-50% + ${limitedY}px))`;
-        } else {
-            DOM.staticPoint.style.transform = `translate(calc(-50% + ${deltaX}px), calc(-50% + ${deltaY}px))`;
-        }
-        
-        // Визуальная обратная связь
-        const resistance = distance / maxDistance;
-        DOM.staticPoint.style.opacity = 1 - resistance * 0.5;
-        
-        // Психоделический эффект при сильном натяжении
-        if (distance > maxDistance * 0.8) {
-            createTensionEffect(deltaX, deltaY, resistance);
+            // Увеличиваем прогресс
+            AppState.progress.interactions++;
+            updateProgress();
         }
-        
-        e.preventDefault();
-    }
-    
-    document.addEventListener('mouseup', endDrag);
-    document.addEventListener('touchend', endDrag);
-    
-    function endDrag() {
-        if (!isDragging) return;
-        
-        isDragging = false;
-        DOM.staticPoint.classList.remove('dragging');
-        
-        // Возвращаем точку с анимацией
-        DOM.staticPoint.style.transition = 'transform 0.8s cubic-bezier(0.34, 1.56, 0.64, 1), opacity 0.3s';
-        DOM.staticPoint.style.transform = originalTransform;
-        DOM.staticPoint.style.opacity = '1';
-        
-        // Психоделический всплеск
-        createPsychedelicBurst();
-        
-        // Увеличиваем прогресс
-        AppState.progress.interactions++;
-        updateProgressDisplay();
-        
-        // Убираем transition после анимации
-        setTimeout(() => {
-            DOM.staticPoint.style.transition = '';
-        }, 800);
-    }
-}
-
-// Создание эффекта натяжения
-function createTensionEffect(dx, dy, intensity) {
-    if (!window.shaderEffects) return;
-    
-    window.shaderEffects.addDistortion({
-        x: 0.5 + dx / window.innerWidth,
-        y: 0.5 + dy / window.innerHeight,
-        intensity: intensity * 2,
-        time: Date.now() / 1000
     });
-    
-    // Визуальные артефакты
-    if (intensity > 0.9 && Math.random() > 0.7) {
-        createVisualGlitch();
-    }
 }
 
-// Психоделический всплеск
-function createPsychedelicBurst() {
-    // Анимация точки
-    DOM.staticPoint.classList.add('burst');
+// Натяжение точки раскрывает фильтр эмбиента (0..1), отпускание медленно закрывает
+function setAmbientTension(tension) {
+    AppState.signals.tension = tension;
+    if (!window.audioManager) return;
     
-    // Звуковой эффект
-    window.audioManager.play('glitch', { 
-        volume: 0.5,
-        pitch: 0.8 + Math.random() * 0.4
-    });
-    
-    // Шейдерный эффект
-    if (window.shaderEffects) {
-        window.shaderEffects.triggerBurst({
-            x: 0.5,
-            y: 0.5,
-            color: [Math.random(), Math.random(), Math.random()],
-            radius: 0.3 + Math.random() * 0.3
-        });
-    }
-    
-    // Частицы
-    createBurstParticles();
-    
-    // Убираем класс burst
-    setTimeout(() => {
-        DOM.staticPoint.classList.remove('burst');
-    }, 600);
+    window.audioManager.setSoundParam('ambient', 'lowpass', 'frequency',
+        800 + tension * 3200, tension > 0 ? 0.1 : 1.2);
+    updateScore();
 }
 
-// Создание частиц всплеска
-function createBurstParticles() {
-    if (!window.shaderEffects || AppState.settings.reduceMotion) return;
-    
-    const particleCount = Math.floor(50 * AppState.settings.particleDensity);
-    
-    for (let i = 0; i < particleCount; i++) {
-        const angle = (i / particleCount) * Math.PI * 2;
-        const speed = 2 + Math.random() * 3;
-        const size = 2 + Math.random() * 4;
-        const color = [
-            Math.random() * 0.5 + 0.5, // R
-            Math.random(),              // G
-            Math.random() * 0.5 + 0.5  // B
-        ];
-        
-        window.shaderEffects.addParticle({
-            x: 0.5,
-            y: 0.5,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            size: size,
-            color: color,
-            life: 1.0
-        });
-    }
+// Глубина прокрутки манифеста: 0 — начало текста, 1 — конец
+function updateScrollDepth() {
+    if (!DOM.manifesto) return;
+    
+    const rect = DOM.manifesto.getBoundingClientRect();
+    const scrollable = Math.max(1, rect.height - window.innerHeight);
+    AppState.signals.scrollDepth = Math.max(0, Math.min(1, -rect.top / scrollable));
+    fragments.setScrollDepth(AppState.signals.scrollDepth);
+    updateScore();
 }
 
-// Визуальный глитч
-function createVisualGlitch() {
-    if (!window.shaderEffects) return;
+// Передача сигналов AppState адаптивной музыке
+function updateScore() {
+    if (!window.audioManager) return;
     
-    window.shaderEffects.addGlitch({
-        amount: 0.1 + Math.random() * 0.2,
-        time: Date.now() / 1000,
-        duration: 0.1
+    window.audioManager.updateScore({
+        tension: AppState.signals.tension,
+        interactions: AppState.progress.interactions,
+        scrollDepth: AppState.signals.scrollDepth,
+        timeSpent: (AppState.progress.timeSpent + sessionClock.pending) / 1000
     });
-    
-    // Случайный whisper
-    if (Math.random() > 0.5) {
-        window.audioManager.play('whisper', { volume: 0.2 });
-    }
 }
 
 // Взаимодействие с текстом
 function setupTextInteractions() {
     // Параграфы появляются при скролле
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.classList.add('visible');
-                
-                // Активируем слова по очереди
-                const words = entry.target.querySelectorAll('.word');
-                words.forEach((word, index) => {
-                    setTimeout(() => {
-                        word.classList.add('revealed');
-                    }, index * 50);
-                });
-                
-                observer.unobserve(entry.target);
-            }
-        });
-    }, {
-        threshold: 0.1,
-        rootMargin: '0px 0px -100px 0px'
-    });
-    
-    DOM.paragraphs.forEach(p => observer.observe(p));
+    revealParagraphs(DOM.paragraphs);
     
-    // Хроматическая аберрация при наведении на слова
-    DOM.words.forEach(word => {
-        word.addEventListener('mouseenter', () => {
-            if (AppState.settings.reduceMotion) return;
-            
-            word.classList.add('aberrated');
-            
-            // Лёгкий звуковой отклик
-            if (AppState.settings.audioEnabled) {
-                window.audioManager.play('glitch', { 
-                    volume: 0.1,
-                    pitch: 1.5,
-                    cooldown: 100 
-                });
-            }
-        });
-        
-        word.addEventListener('mouseleave', () => {
-            word.classList.remove('aberrated');
-        });
+    // Хроматическая аберрация при наведении на слова; обломки находятся и без анимаций
+    setupWordHover(DOM.words, {
+        settings: () => AppState.settings,
+        onHover: (word) => fragments.hoverWord(word.dataset.word)
     });
 }
 
-// Навигация в архив
-function navigateToArchive(e) {
-    e.preventDefault();
-    
-    // Психоделический переход
-    document.body.classList.add('transitioning');
-    
-    // Звук перехода
-    window.audioManager.play('glitch', { volume: 0.7, pitch: 0.5 });
+// Находка обломка: прогресс, вспышка, звук и карточка
+function revealFragment(fragment, record) {
+    AppState.progress.fragments = mergeFragmentRecords(AppState.progress.fragments, fragments.serialize());
+    AppState.progress.fragmentsDiscovered = AppState.progress.fragments.length;
+    updateProgress();
+    saveState();
     
-    // Шейдерный эффект перехода
-    if (window.shaderEffects) {
-        window.shaderEffects.triggerTransition(() => {
-            // Переходим после завершения эффекта
-            setTimeout(() => {
-                window.location.href = 'archive.html';
-            }, 500);
-        });
-    } else {
-        setTimeout(() => {
-            window.location.href = 'archive.html';
-        }, 1000);
-    }
+    announceFragment(fragment, record, `Найден обломок ${fragments.count}/${fragments.total}`);
 }
 
-// Управление аудио
-function toggleAudio() {
-    AppState.settings.audioEnabled = !AppState.settings.audioEnabled;
-    
-    if (AppState.settings.audioEnabled) {
-        window.audioManager.enable();
-        window.audioManager.play('ambient');
-    } else {
-        window.audioManager.disable();
-    }
-    
-    updateAudioToggle(AppState.settings.audioEnabled);
-    applySettings();
+// Пересечённый порог: сохранение, затем слой эффектов, вспышка, звук и карточка
+function revealThreshold(threshold, record) {
+    saveState();
+    announceThreshold(threshold, record);
 }
 
-function updateAudioToggle(enabled) {
-    if (!DOM.audioToggle) return;
-    
-    const icon = DOM.audioToggle.querySelector('.icon');
-    const label = DOM.audioToggle.querySelector('.label');
-    
-    if (enabled) {
-        icon.textContent = '🔊';
-        label.textContent = 'Звук вкл';
-        DOM.audioToggle.classList.add('active');
-    } else {
-        icon.textContent = '🔇';
-        label.textContent = 'Звук выкл';
-        DOM.audioToggle.classList.remove('active');
-    }
+// Навигация в архив
+function navigateToArchive(e) {
+    e.preventDefault();
+    navigateWithTransition('archive.html');
 }
 
 // Применение настроек
@@ -634,27 +570,28 @@ function applySettings() {
         window.shaderEffects.updateSettings(AppState.settings);
     }
     
-    // Применяем к аудио
+    // Применяем к аудио (выключение плавно глушит disable(), громкость не трогаем)
     if (window.audioManager) {
-        window.audioManager.setVolume(AppState.settings.audioEnabled ? 0.7 : 0);
+        window.audioManager.setVolume(0.7);
     }
     
     // Сохраняем настройки
     saveState();
 }
 
-// Обновление отображения прогресса
+// Пересчёт прогресса; время текущей сессии ещё не прибавлено к timeSpent
+function updateProgress() {
+    progressModel.update({
+        ...AppState.progress,
+        timeSpent: AppState.progress.timeSpent + sessionClock.pending
+    });
+}
+
+// Обновление отображения прогресса (вехи и их веса — в progress.js)
 function updateProgressDisplay() {
     if (!DOM.progressValue) return;
     
-    // Простой расчёт прогресса
-    const totalPossible = 100;
-    const current = 
-        AppState.progress.interactions * 0.1 +
-        AppState.progress.fragmentsDiscovered * 10 +
-        AppState.progress.visitedPages.size * 5;
-    
-    const percentage = Math.min(Math.floor((current / totalPossible) * 100), 100);
+    const percentage = progressModel.percent;
     
     DOM.progressValue.textContent = `${percentage}%`;
     
@@ -668,15 +605,17 @@ function updateProgressDisplay() {
 // Сброс прогресса
 function resetProgress() {
     if (confirm('Вы уверены? Весь прогресс будет сброшен.')) {
-        localStorage.removeItem('metamorphoses_state');
-        location.reload();
+        // Иначе beforeunload сохранит текущий прогресс заново
+        stateReset = true;
+        storage.clear().finally(() => location.reload());
     }
 }
 
 // Запуск анимаций
 function startAnimations() {
     // Запускаем мерцание текста
-    if (AppState.settings.effectsEnabled && !AppState.settings.reduceMotion) {
+    if (AppState.settings.effectsEnabled && AppState.performance.complexAnimations &&
+        !AppState.settings.reduceMotion) {
         startTextFlickering();
     }
     
@@ -688,7 +627,7 @@ function startAnimations() {
 
 // Мерцание текста
 function startTextFlickering() {
-    setInterval(() => {
+    const flickering = setInterval(() => {
         if (Math.random() < AppState.settings.flickerIntensity * 0.1) {
             const randomWord = DOM.words[Math.floor(Math.random() * DOM.words.length)];
             if (randomWord) {
@@ -699,6 +638,7 @@ function startTextFlickering() {
             }
         }
     }, 100);
+    listeners.signal.addEventListener('abort', () => clearInterval(flickering));
 }
 
 // Показ контента после загрузки
@@ -0,0 +1,341 @@
+// ============================================
+// MANIFESTO MECHANICS
+// Появление слов, натяжение статичной точки и переход между страницами.
+// Общие для лендинга и путешествий; эффекты — через window.shaderEffects и window.audioManager
+// ============================================
+
+// Насколько далеко точка уходит за курсором, px
+export const MAX_POINT_DISTANCE = 150;
+
+// мс между волнами при перетаскивании
+const TENSION_INTERVAL = 80;
+
+// Отложенное действие на часах шейдерной анимации.
+// Без работающих эффектов — обычный таймер. Возвращает { cancel }
+export function schedule(delay, callback) {
+    if (window.shaderEffects && window.shaderEffects.isAnimating) {
+        return window.shaderEffects.timeline.call(delay / 1000, callback);
+    }
+
+    const timer = setTimeout(callback, delay);
+    return { cancel: () => clearTimeout(timer) };
+}
+
+// Положение статичной точки для сил частиц (смещение от центра в пикселях)
+export function setPointAnchor(dx, dy) {
+    if (!window.shaderEffects) return;
+
+    window.shaderEffects.particleSystem.setAnchor(
+        'point',
+        0.5 + dx / window.innerWidth,
+        0.5 + dy / window.innerHeight
+    );
+}
+
+// Создание эффекта натяжения
+// dx, dy — смещение точки от центра экрана в пикселях
+let lastTensionTime = 0;
+
+export function createTensionEffect(dx, dy, intensity) {
+    if (!window.shaderEffects) return;
+
+    // Не чаще одной волны за интервал, иначе стек мгновенно переполнится
+    const now = performance.now();
+    if (intensity < 0.1 || now - lastTensionTime < TENSION_INTERVAL) return;
+    lastTensionTime = now;
+
+    window.shaderEffects.addDistortion({
+        x: 0.5 + dx / window.innerWidth,
+        y: 0.5 + dy / window.innerHeight,
+        radius: 0.1 + intensity * 0.15,
+        intensity: intensity * 2,
+        duration: 700
+    });
+
+    // Визуальные артефакты (шёпот звучит из места натяжения)
+    if (intensity > 0.9 && Math.random() > 0.7) {
+        createVisualGlitch({
+            x: 0.5 + dx / window.innerWidth,
+            y: 0.5 + dy / window.innerHeight
+        });
+    }
+}
+
+// Визуальный глитч
+// position — точка экрана в долях (0..1, ось Y вниз); без неё шёпот у курсора
+export function createVisualGlitch(position) {
+    if (!window.shaderEffects) return;
+
+    window.shaderEffects.addGlitch({
+        amount: 0.1 + Math.random() * 0.2,
+        duration: 100
+    });
+
+    // Случайный whisper
+    if (Math.random() > 0.5 && window.audioManager) {
+        window.audioManager.play('whisper', { volume: 0.2, position });
+    }
+}
+
+// Психоделический всплеск при отпускании точки
+let burstAnimation = null;
+
+export function createPsychedelicBurst(point, settings) {
+    // Анимация точки
+    point.classList.add('burst');
+
+    // Звуковой эффект
+    if (window.audioManager) {
+        window.audioManager.play('glitch', {
+            volume: 0.5,
+            pitch: 0.8 + Math.random() * 0.4
+        });
+    }
+
+    // Шейдерный эффект
+    if (window.shaderEffects) {
+        window.shaderEffects.triggerBurst({
+            x: 0.5,
+            y: 0.5,
+            color: [Math.random(), Math.random(), Math.random()],
+            radius: 0.3 + Math.random() * 0.3
+        });
+    }
+
+    // Частицы
+    createBurstParticles(settings);
+
+    // Убираем класс burst (предыдущий всплеск больше не снимет его раньше времени)
+    if (burstAnimation) burstAnimation.cancel();
+    burstAnimation = schedule(600, () => {
+        point.classList.remove('burst');
+        burstAnimation = null;
+    });
+}
+
+// Создание частиц всплеска
+function createBurstParticles(settings) {
+    if (!window.shaderEffects || settings.reduceMotion) return;
+
+    const particleCount = Math.floor(50 * settings.particleDensity);
+
+    for (let i = 0; i < particleCount; i++) {
+        const angle = (i / particleCount) * Math.PI * 2;
+        const speed = 2 + Math.random() * 3;
+        const size = 2 + Math.random() * 4;
+        const color = [
+            Math.random() * 0.5 + 0.5, // R
+            Math.random(),              // G
+            Math.random() * 0.5 + 0.5  // B
+        ];
+
+        window.shaderEffects.addParticle({
+            x: 0.5,
+            y: 0.5,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            size: size,
+            color: color,
+            life: 1.0
+        });
+    }
+}
+
+// Параграфы появляются при прокрутке, их слова — по очереди.
+// onReveal(paragraph) — параграф показан. Возвращает IntersectionObserver
+export function revealParagraphs(paragraphs, onReveal = null) {
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('visible');
+
+                // Активируем слова по очереди
+                const words = entry.target.querySelectorAll('.word');
+                words.forEach((word, index) => {
+                    setTimeout(() => {
+                        word.classList.add('revealed');
+                    }, index * 50);
+                });
+
+                observer.unobserve(entry.target);
+                if (onReveal) onReveal(entry.target);
+            }
+        });
+    }, {
+        threshold: 0.1,
+        rootMargin: '0px 0px -100px 0px'
+    });
+
+    paragraphs.forEach(p => observer.observe(p));
+    return observer;
+}
+
+// Хроматическая аберрация и тихий отклик при наведении на слова
+// options: { settings: () => настройки страницы, onHover: (word) => void }.
+// onHover вызывается и при уменьшенной анимации
+export function setupWordHover(words, options) {
+    words.forEach(word => {
+        word.addEventListener('mouseenter', () => {
+            if (options.onHover) options.onHover(word);
+
+            const settings = options.settings();
+            if (settings.reduceMotion) return;
+
+            word.classList.add('aberrated');
+
+            // Лёгкий звуковой отклик
+            if (settings.audioEnabled && window.audioManager) {
+                // Низкий приоритет: наведения вытесняют только друг друга
+                window.audioManager.play('glitch', {
+                    volume: 0.1,
+                    pitch: 1.5,
+                    cooldown: 100,
+                    priority: -1
+                });
+            }
+        });
+
+        word.addEventListener('mouseleave', () => {
+            word.classList.remove('aberrated');
+        });
+    });
+}
+
+// Перетаскивание статичной точки: она тянется за курсором и всегда возвращается
+// options: { settings: () => настройки страницы, maxDistance (px),
+//            onMove: (pointX, pointY, resistance 0..1) => void, onRelease: () => void,
+//            signal — AbortSignal, снимающий обработчики документа при уходе со страницы }
+export function setupPointDrag(point, options) {
+    const maxDistance = options.maxDistance || MAX_POINT_DISTANCE;
+    const listen = { signal: options.signal };
+
+    let isDragging = false;
+    let dragStart = { x: 0, y: 0 };
+    let originalTransform = '';
+    let returnAnimation = null;
+
+    point.addEventListener('mousedown', startDrag);
+    point.addEventListener('touchstart', startDrag);
+
+    function startDrag(e) {
+        if (options.settings().reduceMotion) return;
+
+        // Новое перетаскивание прерывает возврат точки
+        if (returnAnimation) {
+            returnAnimation.cancel();
+            returnAnimation = null;
+            point.style.transition = '';
+        }
+
+        isDragging = true;
+        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+
+        dragStart = { x: clientX, y: clientY };
+        originalTransform = point.style.transform;
+
+        point.classList.add('dragging');
+
+        // Звук начала перетаскивания
+        if (window.audioManager) {
+            window.audioManager.play('glitch', { volume: 0.3 });
+        }
+
+        e.preventDefault();
+    }
+
+    document.addEventListener('mousemove', drag, listen);
+    document.addEventListener('touchmove', drag, listen);
+
+    function drag(e) {
+        if (!isDragging) return;
+
+        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+
+        const deltaX = clientX - dragStart.x;
+        const deltaY = clientY - dragStart.y;
+
+        // Ограничиваем перемещение
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+
+        let pointX = deltaX;
+        let pointY = deltaY;
+
+        if (distance > maxDistance) {
+            const angle = Math.atan2(deltaY, deltaX);
+            pointX = Math.cos(angle) * maxDistance;
+            pointY = Math.sin(angle) * maxDistance;
+        }
+
+        point.style.transform = `translate(calc(-50% + ${pointX}px), calc(-50% + ${pointY}px))`;
+
+        // Визуальная обратная связь
+        const resistance = Math.min(distance / maxDistance, 1);
+        point.style.opacity = 1 - resistance * 0.5;
+
+        // Волны искажения и воронка частиц там, где сейчас точка
+        createTensionEffect(pointX, pointY, resistance);
+        setPointAnchor(pointX, pointY);
+        if (options.onMove) options.onMove(pointX, pointY, resistance);
+
+        e.preventDefault();
+    }
+
+    document.addEventListener('mouseup', endDrag, listen);
+    document.addEventListener('touchend', endDrag, listen);
+
+    function endDrag() {
+        if (!isDragging) return;
+
+        isDragging = false;
+        point.classList.remove('dragging');
+
+        // Возвращаем точку с анимацией
+        point.style.transition = 'transform 0.8s cubic-bezier(0.34, 1.56, 0.64, 1), opacity 0.3s';
+        point.style.transform = originalTransform;
+        point.style.opacity = '1';
+        setPointAnchor(0, 0);
+
+        // Психоделический всплеск
+        createPsychedelicBurst(point, options.settings());
+        if (options.onRelease) options.onRelease();
+
+        // Убираем transition после анимации
+        returnAnimation = schedule(800, () => {
+            point.style.transition = '';
+            returnAnimation = null;
+        });
+    }
+}
+
+// Переход на другую страницу через шейдерный эффект.
+// С роутером страница меняется без перезагрузки (см. router.js)
+export function navigateWithTransition(href) {
+    if (window.router) {
+        window.router.navigate(href);
+        return;
+    }
+
+    // Психоделический переход
+    document.body.classList.add('transitioning');
+
+    // Звук перехода
+    if (window.audioManager) {
+        window.audioManager.play('glitch', { volume: 0.7, pitch: 0.5 });
+    }
+
+    // Шейдерный эффект перехода
+    if (window.shaderEffects) {
+        window.shaderEffects.triggerTransition(() => {
+            // Переходим после завершения эффекта
+            setTimeout(() => {
+                window.location.href = href;
+            }, 500);
+        });
+    } else {
+        setTimeout(() => {
+            window.location.href = href;
+        }, 1000);
+    }
+}
@@ -0,0 +1,162 @@
+// ============================================
+// PAGE SHELL
+// Общее для страниц: быстрый режим, кнопка звука, эмбиент, обработчики
+// документа и объявление находок и порогов
+// ============================================
+
+import { renderAudioToggle } from './audio-lifecycle.js';
+import { showFragmentReveal } from './fragments.js';
+import { applyUnlocks, thresholdLabel } from './progress.js';
+
+// Автосохранение состояния страницы, мс
+const AUTOSAVE_INTERVAL = 30000;
+
+// Быстрый режим: флаг fastMode в localStorage, ?fast в адресе или экономия трафика.
+// Класс fast-load на <html> отключает тяжёлые CSS-анимации
+export function detectFastMode() {
+    let flag = null;
+    try {
+        flag = localStorage.getItem('fastMode');
+    } catch (e) {
+        // localStorage запрещён
+    }
+
+    const fast = Boolean(flag || window.location.search.includes('fast') || navigator.connection?.saveData);
+    if (fast) {
+        document.documentElement.classList.add('fast-load');
+    }
+    return fast;
+}
+
+// Центр элемента в долях экрана (ось Y вниз, как у точки на лендинге)
+export function screenPosition(element) {
+    const rect = element.getBoundingClientRect();
+    return {
+        x: (rect.left + rect.width / 2) / window.innerWidth,
+        y: (rect.top + rect.height / 2) / window.innerHeight
+    };
+}
+
+// Состояние аудиоконтекста или null, если жизненный цикл не запущен (быстрый режим)
+export function getAudioState() {
+    const manager = window.audioManager;
+    return manager && manager.lifecycle ? manager.state : null;
+}
+
+export function updateAudioToggle(button, enabled) {
+    if (!button) return;
+
+    renderAudioToggle(button, enabled, getAudioState());
+}
+
+// Кнопка звука страницы. options: { settings: () => настройки страницы (audioEnabled),
+// onEnable — звук снова включён, onChange — после переключения (сохранение) }.
+// Нажатие при заблокированном звуке только разблокирует его, а не выключает
+export function setupAudioToggle(button, options) {
+    if (!button) return;
+
+    let unlocking = false;
+    ['pointerdown', 'keydown'].forEach(type => {
+        button.addEventListener(type, () => {
+            unlocking = getAudioState() === 'locked';
+        });
+    });
+
+    button.addEventListener('click', () => {
+        const settings = options.settings();
+        const unlocked = unlocking;
+        unlocking = false;
+        if (unlocked && settings.audioEnabled) return;
+
+        settings.audioEnabled = !settings.audioEnabled;
+
+        if (settings.audioEnabled) {
+            window.audioManager.enable();
+            if (options.onEnable) options.onEnable();
+        } else {
+            window.audioManager.disable();
+        }
+
+        updateAudioToggle(button, settings.audioEnabled);
+        if (options.onChange) options.onChange();
+    });
+}
+
+// Эмбиент и партитура (score — audio.score путешествия), как только есть звук, разрешение
+// браузера и желание пользователя. После перехода роутера эмбиент уже звучит: перестраивается
+// только партитура, иначе петля начнётся заново. true — музыка идёт
+export function playAmbient(enabled, score) {
+    const manager = window.audioManager;
+    if (!enabled || !manager || manager.state !== 'running' || !manager.sounds.has('ambient')) return false;
+
+    if (!manager.isPlaying('ambient')) manager.play('ambient');
+    manager.startScore(score);
+    return true;
+}
+
+// Обработчики документа, общие для страниц; снимаются вместе с signal.
+// Курсор ведёт шейдеры и слушателя пространственного звука. Скрытая вкладка не копит время
+// и сохраняется: на мобильных beforeunload может не прийти
+export function setupDocumentListeners({ signal, sessionClock, save }) {
+    document.addEventListener('mousemove', (e) => {
+        if (window.shaderEffects && window.shaderEffects.settings.enabled) {
+            window.shaderEffects.updateMousePosition(e.clientX, e.clientY);
+        }
+
+        if (window.audioManager) {
+            window.audioManager.setListenerPosition(e.clientX / window.innerWidth, e.clientY / window.innerHeight);
+        }
+    }, { signal });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            sessionClock.pause();
+            save();
+        } else {
+            sessionClock.start();
+        }
+    }, { signal });
+    window.addEventListener('beforeunload', () => save(), { signal });
+
+    const autosave = setInterval(save, AUTOSAVE_INTERVAL);
+    signal.addEventListener('abort', () => clearInterval(autosave));
+}
+
+// Найденный обломок: вспышка, звук и карточка; запись находки — дело страницы.
+// Звуковые обломки звучат своим звуком, остальные — шёпотом
+export function announceFragment(fragment, record, caption) {
+    if (window.shaderEffects) {
+        window.shaderEffects.triggerBurst({ x: 0.5, y: 0.5, color: [1, 0, 1], radius: 0.6 });
+        window.shaderEffects.addGlitch({ amount: 0.4, duration: 300 });
+    }
+
+    if (window.audioManager) {
+        const { key, ...options } = fragment.sound || { key: 'whisper', volume: 0.3 };
+        window.audioManager.play(key, { ...options, priority: 5 });
+    }
+
+    showFragmentReveal(fragment, record, caption);
+}
+
+// Пересечённый порог: слой эффектов открывается сразу, полоса прогресса вспыхивает,
+// вспышка, звук и карточка
+export function announceThreshold(threshold, record) {
+    const bar = document.querySelector('.progress-bar');
+    if (bar) {
+        bar.classList.add('crossed');
+        bar.addEventListener('animationend', () => bar.classList.remove('crossed'), { once: true });
+    }
+
+    if (window.shaderEffects) {
+        applyUnlocks(window.shaderEffects, [threshold]);
+        window.shaderEffects.triggerBurst({ x: 0.5, y: 0.5, color: [0, 1, 1], radius: 0.9 });
+    }
+
+    if (window.audioManager && threshold.sound) {
+        const { key, ...options } = threshold.sound;
+        window.audioManager.play(key, { ...options, priority: 5 });
+    }
+
+    showFragmentReveal({ id: threshold.id, type: 'text', title: threshold.title, text: threshold.text },
+        record, `Открыт порог: ${thresholdLabel(threshold)}`);
+}
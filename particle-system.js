@@ -0,0 +1,778 @@
+// ============================================
+// PARTICLE SYSTEM
+// Пул частиц на typed array'ях и рендер через WebGL point sprites
+// (Canvas 2D как запасной вариант)
+// ============================================
+
+import ShaderCompiler from './shader-compiler.js';
+
+// Ёмкость пула по умолчанию
+export const DEFAULT_CAPACITY = {
+    webgl: 50000,
+    canvas2d: 2000
+};
+
+// Данные одной вершины: x, y, size, r, g, b, a
+const VERTEX_STRIDE = 7;
+
+// Частота, под которую заданы «покадровые» скорости старого API
+export const REFERENCE_FPS = 60;
+
+// Затухание по умолчанию: 0.01 жизни и 1% размера за кадр при 60 Гц
+const DEFAULT_DECAY = 0.01 * REFERENCE_FPS;
+const DEFAULT_SHRINK = -Math.log(0.99) * REFERENCE_FPS;
+
+// Максимальный шаг симуляции (после сна вкладки и т.п.)
+const MAX_STEP = 0.1;
+
+// Случайное значение из диапазона [min, max] или само число
+function sampleRange(value, fallback = 0) {
+    if (value === undefined || value === null) return fallback;
+    if (Array.isArray(value)) {
+        return value[0] + Math.random() * (value[1] - value[0]);
+    }
+    return value;
+}
+
+// Психоделическая палитра по умолчанию
+export function randomParticleColor() {
+    return [
+        Math.random() * 0.5 + 0.5,
+        Math.random(),
+        Math.random() * 0.5 + 0.5
+    ];
+}
+
+// Вершинный шейдер частиц: пиксели канваса → clip space
+const PARTICLE_VERTEX = `
+    attribute vec2 a_position;
+    attribute float a_size;
+    attribute vec4 a_color;
+
+    uniform vec2 u_resolution;
+    varying vec4 v_color;
+
+    void main() {
+        vec2 clip = (a_position / u_resolution) * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+        gl_PointSize = a_size * 2.0;
+        v_color = a_color;
+    }
+`;
+
+// Фрагментный шейдер: мягкий круг
+const PARTICLE_FRAGMENT = `
+    precision mediump float;
+    varying vec4 v_color;
+
+    void main() {
+        float dist = length(gl_PointCoord - 0.5);
+        if (dist > 0.5) discard;
+
+        float edge = smoothstep(0.5, 0.35, dist);
+        gl_FragColor = vec4(v_color.rgb, v_color.a * edge);
+    }
+`;
+
+// Полупрозрачная заливка поверх прошлого кадра (шлейф)
+const FADE_VERTEX = `
+    attribute vec2 a_position;
+
+    void main() {
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+const FADE_FRAGMENT = `
+    precision mediump float;
+    uniform vec4 u_color;
+
+    void main() {
+        gl_FragColor = u_color;
+    }
+`;
+
+// Пул частиц: структура массивов фиксированной ёмкости.
+// Живые частицы всегда лежат плотно в [0, count).
+// Скорости — пиксели в секунду, время — секунды
+export class ParticlePool {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.count = 0;
+
+        this.x = new Float32Array(capacity);
+        this.y = new Float32Array(capacity);
+        this.vx = new Float32Array(capacity);
+        this.vy = new Float32Array(capacity);
+        this.size = new Float32Array(capacity);
+        this.r = new Float32Array(capacity);
+        this.g = new Float32Array(capacity);
+        this.b = new Float32Array(capacity);
+        this.life = new Float32Array(capacity);
+        this.decay = new Float32Array(capacity);
+        this.shrink = new Float32Array(capacity);
+
+        // Эмиттер-владелец (-1 — частица добавлена вручную)
+        this.owner = new Int16Array(capacity);
+        this.ownerCounts = new Map();
+
+        // Готовые вершины для загрузки в GPU
+        this.vertices = new Float32Array(capacity * VERTEX_STRIDE);
+    }
+
+    // Добавление частицы (координаты в пикселях). false — пул заполнен
+    add(x, y, vx, vy, size, color, life, decay = DEFAULT_DECAY, shrink = DEFAULT_SHRINK, owner = -1) {
+        if (this.count >= this.capacity) return false;
+
+        const i = this.count++;
+        this.x[i] = x;
+        this.y[i] = y;
+        this.vx[i] = vx;
+        this.vy[i] = vy;
+        this.size[i] = size;
+        this.r[i] = color[0];
+        this.g[i] = color[1];
+        this.b[i] = color[2];
+        this.life[i] = life;
+        this.decay[i] = decay;
+        this.shrink[i] = shrink;
+        this.owner[i] = owner;
+
+        if (owner >= 0) {
+            this.ownerCounts.set(owner, this.countOf(owner) + 1);
+        }
+
+        return true;
+    }
+
+    // Число живых частиц эмиттера
+    countOf(owner) {
+        return this.ownerCounts.get(owner) || 0;
+    }
+
+    // Удаление: последняя частица переносится на место удалённой
+    remove(i) {
+        const owner = this.owner[i];
+        if (owner >= 0) {
+            this.ownerCounts.set(owner, this.countOf(owner) - 1);
+        }
+
+        const last = --this.count;
+        if (i === last) return;
+
+        this.x[i] = this.x[last];
+        this.y[i] = this.y[last];
+        this.vx[i] = this.vx[last];
+        this.vy[i] = this.vy[last];
+        this.size[i] = this.size[last];
+        this.r[i] = this.r[last];
+        this.g[i] = this.g[last];
+        this.b[i] = this.b[last];
+        this.life[i] = this.life[last];
+        this.decay[i] = this.decay[last];
+        this.shrink[i] = this.shrink[last];
+        this.owner[i] = this.owner[last];
+    }
+
+    // Шаг симуляции длиной dt секунд и упаковка вершин
+    // forces — силы, уже переведённые в пиксели (см. ParticleSystem.resolveForces)
+    update(dt, forces = []) {
+        const vertices = this.vertices;
+
+        for (let i = this.count - 1; i >= 0; i--) {
+            // Силы меняют скорость
+            for (let f = 0; f < forces.length; f++) {
+                applyForce(forces[f], this, i, dt);
+            }
+
+            // Обновляем позицию
+            this.x[i] += this.vx[i] * dt;
+            this.y[i] += this.vy[i] * dt;
+            this.life[i] -= this.decay[i] * dt;
+
+            // Уменьшаем размер со временем
+            this.size[i] *= Math.exp(-this.shrink[i] * dt);
+
+            // Удаляем "мёртвые" частицы
+            if (this.life[i] <= 0 || this.size[i] < 0.1) {
+                this.remove(i);
+            }
+        }
+
+        for (let i = 0; i < this.count; i++) {
+            const offset = i * VERTEX_STRIDE;
+            vertices[offset] = this.x[i];
+            vertices[offset + 1] = this.y[i];
+            vertices[offset + 2] = this.size[i];
+            vertices[offset + 3] = this.r[i];
+            vertices[offset + 4] = this.g[i];
+            vertices[offset + 5] = this.b[i];
+            vertices[offset + 6] = Math.min(this.life[i], 1) * 0.7;
+        }
+    }
+
+    clear() {
+        this.count = 0;
+        this.ownerCounts.clear();
+    }
+}
+
+// Применение силы к частице i
+// Силы: gravity { x, y } (пикс/с²), attractor { x, y, radius, strength } —
+// отрицательная strength отталкивает, vortex { x, y, radius, strength, pull },
+// drag { amount } (доля скорости, теряемая за секунду)
+function applyForce(force, pool, i, dt) {
+    switch (force.type) {
+        case 'gravity':
+            pool.vx[i] += force.x * dt;
+            pool.vy[i] += force.y * dt;
+            break;
+
+        case 'drag': {
+            const factor = Math.exp(-force.amount * dt);
+            pool.vx[i] *= factor;
+            pool.vy[i] *= factor;
+            break;
+        }
+
+        case 'attractor':
+        case 'vortex': {
+            const dx = force.x - pool.x[i];
+            const dy = force.y - pool.y[i];
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < 0.001 || dist > force.radius) return;
+
+            const falloff = 1 - dist / force.radius;
+            const nx = dx / dist;
+            const ny = dy / dist;
+
+            if (force.type === 'attractor') {
+                const accel = force.strength * falloff * dt;
+                pool.vx[i] += nx * accel;
+                pool.vy[i] += ny * accel;
+            } else {
+                // Касательная к окружности вокруг центра плюс притяжение
+                const swirl = force.strength * falloff * dt;
+                const pull = (force.pull || 0) * falloff * dt;
+                pool.vx[i] += -ny * swirl + nx * pull;
+                pool.vy[i] += nx * swirl + ny * pull;
+            }
+            break;
+        }
+    }
+}
+
+// Рендер частиц через WebGL (point sprites, аддитивное смешивание)
+export class WebGLParticleRenderer {
+    constructor(gl, capacity) {
+        this.gl = gl;
+        this.capacity = capacity;
+        this.width = 1;
+        this.height = 1;
+    }
+
+    init() {
+        const gl = this.gl;
+        const compiler = new ShaderCompiler(gl);
+
+        this.program = compiler.compileProgramSync(PARTICLE_VERTEX, PARTICLE_FRAGMENT, 'particles');
+        this.fadeProgram = compiler.compileProgramSync(FADE_VERTEX, FADE_FRAGMENT, 'particles-fade');
+
+        this.attributes = {
+            position: gl.getAttribLocation(this.program, 'a_position'),
+            size: gl.getAttribLocation(this.program, 'a_size'),
+            color: gl.getAttribLocation(this.program, 'a_color'),
+            fadePosition: gl.getAttribLocation(this.fadeProgram, 'a_position')
+        };
+
+        this.uniforms = {
+            resolution: gl.getUniformLocation(this.program, 'u_resolution'),
+            fadeColor: gl.getUniformLocation(this.fadeProgram, 'u_color')
+        };
+
+        // Буфер вершин выделяется один раз на всю ёмкость пула
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.capacity * VERTEX_STRIDE * 4, gl.DYNAMIC_DRAW);
+
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1.0, -1.0,
+             1.0, -1.0,
+            -1.0,  1.0,
+             1.0,  1.0
+        ]), gl.STATIC_DRAW);
+
+        gl.enable(gl.BLEND);
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.gl.viewport(0, 0, width, height);
+    }
+
+    render(pool) {
+        const gl = this.gl;
+
+        // Затемняем прошлый кадр для эффекта шлейфа
+        gl.useProgram(this.fadeProgram);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(this.attributes.fadePosition);
+        gl.vertexAttribPointer(this.attributes.fadePosition, 2, gl.FLOAT, false, 0, 0);
+        gl.uniform4f(this.uniforms.fadeColor, 0, 0, 0, 0.1);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.disableVertexAttribArray(this.attributes.fadePosition);
+
+        if (pool.count === 0) return;
+
+        // Частицы складываются по яркости
+        gl.useProgram(this.program);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+        gl.uniform2f(this.uniforms.resolution, this.width, this.height);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, pool.vertices.subarray(0, pool.count * VERTEX_STRIDE));
+
+        const stride = VERTEX_STRIDE * 4;
+        gl.enableVertexAttribArray(this.attributes.position);
+        gl.vertexAttribPointer(this.attributes.position, 2, gl.FLOAT, false, stride, 0);
+        gl.enableVertexAttribArray(this.attributes.size);
+        gl.vertexAttribPointer(this.attributes.size, 1, gl.FLOAT, false, stride, 8);
+        gl.enableVertexAttribArray(this.attributes.color);
+        gl.vertexAttribPointer(this.attributes.color, 4, gl.FLOAT, false, stride, 12);
+
+        gl.drawArrays(gl.POINTS, 0, pool.count);
+
+        gl.disableVertexAttribArray(this.attributes.position);
+        gl.disableVertexAttribArray(this.attributes.size);
+        gl.disableVertexAttribArray(this.attributes.color);
+    }
+
+    dispose() {
+        const gl = this.gl;
+        if (this.program) gl.deleteProgram(this.program);
+        if (this.fadeProgram) gl.deleteProgram(this.fadeProgram);
+        if (this.vertexBuffer) gl.deleteBuffer(this.vertexBuffer);
+        if (this.quadBuffer) gl.deleteBuffer(this.quadBuffer);
+    }
+}
+
+// Запасной рендер через Canvas 2D
+export class Canvas2DParticleRenderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.width = 1;
+        this.height = 1;
+
+        // Кэш строк цвета, чтобы не собирать rgba на каждую частицу
+        this.colorCache = new Map();
+    }
+
+    init() {}
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    // Цвет квантуется до 5 бит на канал, чтобы кэш оставался маленьким
+    getColor(r, g, b) {
+        const key = ((r * 31) << 10) | ((g * 31) << 5) | (b * 31);
+        let color = this.colorCache.get(key);
+
+        if (!color) {
+            color = `rgb(${Math.floor(r * 255)}, ${Math.floor(g * 255)}, ${Math.floor(b * 255)})`;
+            this.colorCache.set(key, color);
+        }
+
+        return color;
+    }
+
+    render(pool) {
+        const ctx = this.ctx;
+
+        // Очищаем с прозрачностью для эффекта шлейфа
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        ctx.globalCompositeOperation = 'lighter';
+
+        for (let i = 0; i < pool.count; i++) {
+            ctx.globalAlpha = Math.max(0, Math.min(pool.life[i], 1) * 0.7);
+            ctx.fillStyle = this.getColor(pool.r[i], pool.g[i], pool.b[i]);
+            ctx.beginPath();
+            ctx.arc(pool.x[i], pool.y[i], pool.size[i], 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    dispose() {
+        this.colorCache.clear();
+    }
+}
+
+// Система частиц: выбирает рендер под возможности канваса,
+// ведёт именованные эмиттеры и силовые поля.
+// Координаты эмиттеров и сил — доли канваса (0..1), радиусы — доли меньшей стороны
+export default class ParticleSystem {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = options;
+
+        this.pool = null;
+        this.renderer = null;
+        this.type = null;
+
+        // Потерян ли WebGL-контекст канваса частиц
+        this.contextLost = false;
+        this.contextHandlers = null;
+
+        this.width = 1;
+        this.height = 1;
+
+        // Множитель частоты эмиттеров с density: true
+        this.density = 1;
+
+        // Множитель частоты эмиттеров с reactive: true (реакция на звук)
+        this.emissionBoost = 1;
+
+        // Мягкий предел живых частиц (уровень качества), не больше ёмкости пула
+        this.limit = Infinity;
+
+        // Именованные эмиттеры и силы
+        this.emitters = new Map();
+        this.forces = new Map();
+        this.nextEmitterId = 0;
+
+        // Именованные точки, к которым привязываются силы и эмиттеры (anchor)
+        this.anchors = {};
+    }
+
+    // Сначала WebGL, при неудаче — Canvas 2D.
+    // Контекст канваса выбирается один раз, поэтому порядок важен
+    init() {
+        const gl = this.options.forceCanvas2D ? null : (
+            this.canvas.getContext('webgl', { preserveDrawingBuffer: true, antialias: false }) ||
+            this.canvas.getContext('experimental-webgl', { preserveDrawingBuffer: true, antialias: false })
+        );
+
+        if (gl) {
+            try {
+                const capacity = this.options.capacity || DEFAULT_CAPACITY.webgl;
+                const renderer = new WebGLParticleRenderer(gl, capacity);
+                renderer.init();
+
+                this.renderer = renderer;
+                this.pool = new ParticlePool(capacity);
+                this.type = 'webgl';
+
+                this.watchContext();
+            } catch (error) {
+                console.warn('WebGL-частицы недоступны:', error);
+            }
+        }
+
+        if (!this.renderer) {
+            const ctx = this.canvas.getContext('2d');
+            if (!ctx) {
+                throw new Error('Canvas 2D не поддерживается');
+            }
+
+            this.renderer = new Canvas2DParticleRenderer(ctx);
+            this.pool = new ParticlePool(this.options.fallbackCapacity || DEFAULT_CAPACITY.canvas2d);
+            this.type = 'canvas2d';
+        }
+
+        this.resize(this.canvas.width, this.canvas.height);
+        console.log(`✨ Частицы: ${this.type}, до ${this.pool.capacity}`);
+    }
+
+    // Потеря контекста: пул живёт в JS, пересоздаются только программы и буферы
+    watchContext() {
+        this.contextHandlers = {
+            lost: (event) => {
+                // Без preventDefault браузер не вернёт контекст
+                event.preventDefault();
+                this.contextLost = true;
+                console.warn('⚠️ WebGL-контекст частиц потерян');
+            },
+            restored: () => this.restoreContext()
+        };
+
+        this.canvas.addEventListener('webglcontextlost', this.contextHandlers.lost);
+        this.canvas.addEventListener('webglcontextrestored', this.contextHandlers.restored);
+    }
+
+    // Пересоздание ресурсов рендера после восстановления контекста
+    restoreContext() {
+        if (!this.renderer) return;
+
+        try {
+            this.renderer.init();
+            this.renderer.resize(this.width, this.height);
+            this.contextLost = false;
+            console.log('✨ WebGL-контекст частиц восстановлен');
+        } catch (error) {
+            console.warn('Не удалось восстановить WebGL-частицы:', error);
+        }
+    }
+
+    get count() {
+        return this.pool ? this.pool.count : 0;
+    }
+
+    get capacity() {
+        return this.pool ? this.pool.capacity : 0;
+    }
+
+    // Добавление частицы
+    // particle: { x, y (пиксели), vx, vy (пикс/с), size, color, life, lifetime (с), shrink }
+    add(particle, owner = -1) {
+        if (!this.pool || this.pool.count >= this.limit) return false;
+
+        const life = particle.life !== undefined ? particle.life : 1.0;
+        const decay = particle.lifetime ? life / particle.lifetime : DEFAULT_DECAY;
+
+        return this.pool.add(
+            particle.x,
+            particle.y,
+            particle.vx || 0,
+            particle.vy || 0,
+            particle.size,
+            particle.color,
+            life,
+            decay,
+            particle.shrink !== undefined ? particle.shrink : DEFAULT_SHRINK,
+            owner
+        );
+    }
+
+    // Декларативная настройка: { emitters: { name: {...} }, forces: { name: {...} } }
+    // Новое описание полностью заменяет прежнее
+    configure(preset = {}) {
+        this.emitters.clear();
+        this.forces.clear();
+
+        Object.entries(preset.emitters || {}).forEach(([name, emitter]) => {
+            this.setEmitter(name, emitter);
+        });
+
+        Object.entries(preset.forces || {}).forEach(([name, force]) => {
+            this.setForce(name, force);
+        });
+    }
+
+    // Эмиттер
+    // { rate (част/с), shape: 'point' | 'circle' | 'ring' | 'rect' | 'screen',
+    //   x, y, anchor, radius, width, height, speed, angle, outward,
+    //   size, life, lifetime, shrink, color | colors, limit, density, reactive, enabled }
+    // Числовые параметры принимают [min, max]
+    setEmitter(name, definition) {
+        const existing = this.emitters.get(name);
+
+        this.emitters.set(name, {
+            shape: 'point',
+            x: 0.5,
+            y: 0.5,
+            rate: 0,
+            enabled: true,
+            ...definition,
+            id: existing ? existing.id : this.nextEmitterId++,
+            accumulator: 0
+        });
+    }
+
+    removeEmitter(name) {
+        this.emitters.delete(name);
+    }
+
+    hasEmitter(name) {
+        return this.emitters.has(name);
+    }
+
+    // Разовый выброс частиц по описанию эмиттера
+    emit(name, count) {
+        const emitter = this.emitters.get(name);
+        if (!emitter) return;
+
+        for (let i = 0; i < count; i++) {
+            if (!this.spawn(emitter)) break;
+        }
+    }
+
+    // Сила: { type: 'gravity' | 'attractor' | 'vortex' | 'drag', ...параметры, anchor, enabled }
+    setForce(name, definition) {
+        this.forces.set(name, { enabled: true, ...definition });
+    }
+
+    removeForce(name) {
+        this.forces.delete(name);
+    }
+
+    // Обновление именованной точки (x, y — доли канваса)
+    setAnchor(name, x, y) {
+        this.anchors[name] = { x, y };
+    }
+
+    // Центр эмиттера или силы с учётом привязки
+    resolvePosition(definition) {
+        const anchor = definition.anchor && this.anchors[definition.anchor];
+        const x = anchor ? anchor.x + (definition.offsetX || 0) : definition.x;
+        const y = anchor ? anchor.y + (definition.offsetY || 0) : definition.y;
+
+        return {
+            x: (x !== undefined ? x : 0.5) * this.width,
+            y: (y !== undefined ? y : 0.5) * this.height
+        };
+    }
+
+    // Перевод сил в пиксели один раз на кадр
+    resolveForces() {
+        const scale = Math.min(this.width, this.height);
+        const resolved = [];
+
+        this.forces.forEach(force => {
+            if (!force.enabled) return;
+
+            // Силы с привязкой ждут, пока точка станет известна
+            if (force.anchor && !this.anchors[force.anchor]) return;
+
+            const position = this.resolvePosition(force);
+            resolved.push({
+                type: force.type,
+                x: force.type === 'gravity' ? (force.x || 0) : position.x,
+                y: force.type === 'gravity' ? (force.y || 0) : position.y,
+                radius: (force.radius || 0.25) * scale,
+                strength: force.strength || 0,
+                pull: force.pull || 0,
+                amount: force.amount || 0
+            });
+        });
+
+        return resolved;
+    }
+
+    // Рождение одной частицы эмиттера
+    spawn(emitter) {
+        const center = this.resolvePosition(emitter);
+        const scale = Math.min(this.width, this.height);
+        const radius = sampleRange(emitter.radius, 0.1) * scale;
+
+        let x = center.x;
+        let y = center.y;
+        let outwardAngle = Math.random() * Math.PI * 2;
+
+        switch (emitter.shape) {
+            case 'circle': {
+                const r = radius * Math.sqrt(Math.random());
+                x += Math.cos(outwardAngle) * r;
+                y += Math.sin(outwardAngle) * r;
+                break;
+            }
+            case 'ring':
+                x += Math.cos(outwardAngle) * radius;
+                y += Math.sin(outwardAngle) * radius;
+                break;
+            case 'rect':
+                x += (Math.random() - 0.5) * sampleRange(emitter.width, 0.2) * this.width;
+                y += (Math.random() - 0.5) * sampleRange(emitter.height, 0.2) * this.height;
+                break;
+            case 'screen':
+                x = Math.random() * this.width;
+                y = Math.random() * this.height;
+                break;
+        }
+
+        const angle = emitter.outward ? outwardAngle : sampleRange(emitter.angle, Math.random() * Math.PI * 2);
+        const speed = sampleRange(emitter.speed, 0);
+
+        let color;
+        if (emitter.colors) {
+            color = emitter.colors[Math.floor(Math.random() * emitter.colors.length)];
+        } else {
+            color = emitter.color || randomParticleColor();
+        }
+
+        return this.add({
+            x,
+            y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            size: sampleRange(emitter.size, 3),
+            color,
+            life: sampleRange(emitter.life, 1.0),
+            lifetime: emitter.lifetime ? sampleRange(emitter.lifetime) : undefined,
+            shrink: emitter.shrink
+        }, emitter.id);
+    }
+
+    // Накопление частоты эмиттеров за шаг dt
+    updateEmitters(dt) {
+        this.emitters.forEach(emitter => {
+            if (!emitter.enabled || !emitter.rate) return;
+            if (emitter.anchor && !this.anchors[emitter.anchor]) return;
+
+            const scale = emitter.density ? this.density : 1;
+            const limit = emitter.limit !== undefined ? emitter.limit * scale : Infinity;
+
+            const boost = emitter.reactive ? this.emissionBoost : 1;
+            emitter.accumulator += emitter.rate * scale * boost * dt;
+
+            while (emitter.accumulator >= 1) {
+                emitter.accumulator -= 1;
+                if (this.pool.countOf(emitter.id) >= limit || !this.spawn(emitter)) {
+                    emitter.accumulator = 0;
+                    break;
+                }
+            }
+        });
+    }
+
+    resize(width, height) {
+        this.width = width || 1;
+        this.height = height || 1;
+
+        if (this.renderer) {
+            this.renderer.resize(this.width, this.height);
+        }
+    }
+
+    // Шаг симуляции длиной dt секунд и отрисовка
+    render(dt = 1 / REFERENCE_FPS) {
+        if (!this.pool) return;
+
+        const step = Math.min(Math.max(dt, 0), MAX_STEP);
+
+        this.updateEmitters(step);
+        this.pool.update(step, this.resolveForces());
+
+        // Симуляция продолжается и без контекста, пропускается только отрисовка
+        if (!this.contextLost) {
+            this.renderer.render(this.pool);
+        }
+    }
+
+    clear() {
+        if (this.pool) this.pool.clear();
+    }
+
+    dispose() {
+        if (this.contextHandlers) {
+            this.canvas.removeEventListener('webglcontextlost', this.contextHandlers.lost);
+            this.canvas.removeEventListener('webglcontextrestored', this.contextHandlers.restored);
+            this.contextHandlers = null;
+        }
+
+        if (this.renderer) this.renderer.dispose();
+        this.renderer = null;
+        this.pool = null;
+    }
+}
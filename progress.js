@@ -0,0 +1,291 @@
+// ============================================
+// PROGRESS
+// Модель прогресса: взвешенные вехи, завершённость путешествий
+// и пороги, которые открывают новое содержимое
+// ============================================
+
+import { FRAGMENTS, JOURNEYS } from './fragments.js';
+
+// Прогресс на входе — раздел progress из StateStorage:
+// { visitedPages: [...] | Set, interactions, fragments: [{ id, at }], timeSpent (мс), sessions, unlocks }
+
+// Вехи: score(state, journeys) → 0..1, weight — вклад в итог.
+// Перетаскивания и время ограничены сверху: одной точкой прогресс не набрать
+export const MILESTONES = [
+    {
+        id: 'first-pull',
+        title: 'Первое касание',
+        weight: 5,
+        score: (state) => Math.min(state.interactions, 1)
+    },
+    {
+        id: 'persistence',
+        title: 'Упорство',
+        weight: 10,
+        score: (state) => state.interactions / 30
+    },
+    {
+        id: 'archive',
+        title: 'Архивариус',
+        weight: 5,
+        score: (state) => (state.visited.has('archive') ? 1 : 0)
+    },
+    {
+        // Каждое путешествие весит одинаково, сколько бы обломков в нём ни было
+        id: 'journeys',
+        title: 'Путешествия',
+        weight: 65,
+        score: (state, journeys) => {
+            const values = Object.values(journeys).map(journey => journey.value);
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        }
+    },
+    {
+        id: 'attention',
+        title: 'Внимание',
+        weight: 10,
+        score: (state) => state.timeSpent / (20 * 60000)
+    },
+    {
+        id: 'return',
+        title: 'Возвращение',
+        weight: 5,
+        score: (state) => (state.sessions - 1) / 2
+    }
+];
+
+// Пороги: at — доля итогового прогресса 0..1 или milestone — завершённая веха.
+// Открытый порог не закрывается, даже если каталог вырастет и доля упадёт.
+// unlocks — слой поверх сцены страницы (см. applyUnlocks):
+// { passes: [встроенные эффекты], effects: { имя: параметры } }; sound — сигнал в момент пересечения
+export const THRESHOLDS = [
+    {
+        id: 'crack',
+        at: 0.25,
+        title: 'Трещина',
+        text: 'Зерно стало крупнее: статика заметила, что на неё смотрят.',
+        unlocks: { effects: { noise: { noise: 0.09 } } },
+        sound: { key: 'glitch', pitch: 0.6, volume: 0.5 }
+    },
+    {
+        id: 'interference',
+        at: 0.5,
+        title: 'Помехи',
+        text: 'По экрану пошли строки — как у телевизора, который забыли выключить.',
+        unlocks: { passes: ['scanlines'] },
+        sound: { key: 'whisper', pitch: 0.5, volume: 0.4 }
+    },
+    {
+        id: 'depth',
+        at: 0.75,
+        title: 'Глубина',
+        text: 'Волны от точки расходятся шире и медленнее.',
+        unlocks: { effects: { wave: { rippleFrequency: 28, rippleSpeed: 8 } } },
+        sound: { key: 'whisper', pitch: 0.35, volume: 0.5 }
+    },
+    {
+        // Все путешествия пройдены и все обломки найдены — время и возвращения не нужны
+        id: 'metamorphosis',
+        milestone: 'journeys',
+        title: 'Метаморфоза',
+        text: 'Найдено всё. Теперь и цвет не стоит на месте.',
+        unlocks: { passes: ['prism'] },
+        sound: { key: 'glitch', pitch: 0.3, volume: 0.7 }
+    }
+];
+
+// Подпись порога: «50%» или название вехи
+export function thresholdLabel(threshold) {
+    if (threshold.milestone) {
+        const milestone = MILESTONES.find(known => known.id === threshold.milestone);
+        return milestone ? milestone.title : threshold.milestone;
+    }
+    return `${Math.round(threshold.at * 100)}%`;
+}
+
+// Страница путешествия в visitedPages: манифест живёт на лендинге, остальные — journey-<id>.html
+export function journeyPage(id) {
+    return id === 'manifesto' ? 'index' : `journey-${id}`;
+}
+
+// Слои открытых порогов поверх сцены: после initSharedEffects (applyPreset сбрасывает проходы)
+// и сразу при пересечении
+export function applyUnlocks(effects, thresholds) {
+    thresholds.forEach(({ unlocks = {} }) => {
+        (unlocks.passes || []).forEach(name => effects.enableEffect(name));
+        Object.entries(unlocks.effects || {}).forEach(([name, params]) => {
+            effects.setEffectParams(name, params);
+        });
+    });
+}
+
+const clamp = (value) => Math.max(0, Math.min(1, Number.isFinite(value) ? value : 0));
+
+// Прогресс в виде, удобном вехам
+function readState(progress) {
+    return {
+        visited: new Set(progress.visitedPages || ['index']),
+        interactions: progress.interactions || 0,
+        found: new Set((progress.fragments || []).map(record => record.id)),
+        timeSpent: progress.timeSpent || 0,
+        sessions: progress.sessions || 0
+    };
+}
+
+export default class ProgressModel {
+    // options: { milestones, thresholds, catalog — обломки (FRAGMENTS), journeys — названия (JOURNEYS) }.
+    // По умолчанию каталог общий: путешествия, загруженные позже (loadJourneyCatalog), учитываются
+    constructor(options = {}) {
+        this.milestones = options.milestones || MILESTONES;
+        // Пороги по вехам — после долевых
+        const order = (threshold) => (threshold.milestone ? Infinity : threshold.at);
+        this.thresholds = [...(options.thresholds || THRESHOLDS)].sort((a, b) => order(a) - order(b));
+        this.catalog = options.catalog || FRAGMENTS;
+        this.journeyTitles = options.journeys || JOURNEYS;
+
+        // Последняя оценка: итог 0..1, доли вех и завершённость путешествий
+        this.value = 0;
+        this.scores = new Map();
+        this.journeys = {};
+
+        // Открытые пороги: id → { id, at (мс) }
+        this.unlocked = new Map();
+
+        this.listeners = {
+            change: new Set(),
+            milestone: new Set(),
+            threshold: new Set()
+        };
+    }
+
+    get percent() {
+        return Math.floor(this.value * 100);
+    }
+
+    threshold(id) {
+        return this.thresholds.find(threshold => threshold.id === id) || null;
+    }
+
+    isUnlocked(id) {
+        return this.unlocked.has(id);
+    }
+
+    // Открытые пороги по возрастанию
+    unlockedThresholds() {
+        return this.thresholds.filter(threshold => this.unlocked.has(threshold.id));
+    }
+
+    isComplete(id) {
+        return this.scores.get(id) === 1;
+    }
+
+    // Порог достигнут по последней оценке
+    isReached(threshold) {
+        return threshold.milestone ? this.isComplete(threshold.milestone) : this.value >= threshold.at;
+    }
+
+    // Сохранённый прогресс без событий. Порог, пересечённый там, где его некому было
+    // объявить (временем в архиве), объявит первый update()
+    restore(progress = {}) {
+        (progress.unlocks || []).forEach(record => {
+            if (this.threshold(record.id)) this.unlocked.set(record.id, { id: record.id, at: record.at });
+        });
+        this.evaluate(progress);
+        return this;
+    }
+
+    // Открытые пороги для сохранения в progress.unlocks: [{ id, at }]
+    serialize() {
+        return [...this.unlocked.values()].sort((a, b) => a.at - b.at);
+    }
+
+    // Итог, вехи и путешествия без событий
+    evaluate(progress = {}) {
+        const state = readState(progress);
+        this.journeys = this.evaluateJourneys(state);
+
+        let total = 0;
+        let weights = 0;
+        this.milestones.forEach(milestone => {
+            const score = clamp(milestone.score(state, this.journeys));
+            this.scores.set(milestone.id, score);
+            total += milestone.weight * score;
+            weights += milestone.weight;
+        });
+
+        this.value = weights > 0 ? total / weights : 0;
+        return this.value;
+    }
+
+    // Завершённость путешествий: id → { title, found, total, visited, value }.
+    // Посещение страницы весит как один обломок
+    evaluateJourneys(state) {
+        const journeys = {};
+
+        Object.entries(this.journeyTitles).forEach(([id, title]) => {
+            const inJourney = this.catalog.filter(fragment => fragment.journey === id);
+            const found = inJourney.filter(fragment => state.found.has(fragment.id)).length;
+            const visited = state.visited.has(journeyPage(id));
+
+            journeys[id] = {
+                title,
+                found,
+                total: inJourney.length,
+                visited,
+                value: (Number(visited) + found) / (inJourney.length + 1)
+            };
+        });
+
+        return journeys;
+    }
+
+    // Пересчёт по свежему прогрессу. События по порядку: завершённые вехи,
+    // пересечённые пороги (долевые по возрастанию, затем по вехам), новый итог
+    update(progress = {}) {
+        const previous = this.value;
+        const completed = this.milestones.filter(milestone => this.isComplete(milestone.id));
+
+        this.evaluate(progress);
+
+        this.milestones.forEach(milestone => {
+            if (this.isComplete(milestone.id) && !completed.includes(milestone)) {
+                this.emit('milestone', milestone);
+            }
+        });
+
+        this.thresholds.forEach(threshold => {
+            if (!this.isReached(threshold) || this.unlocked.has(threshold.id)) return;
+
+            const record = { id: threshold.id, at: Date.now() };
+            this.unlocked.set(threshold.id, record);
+            console.log(`🏁 Порог «${threshold.title}» (${thresholdLabel(threshold)})`);
+            this.emit('threshold', threshold, record);
+        });
+
+        if (this.value !== previous) {
+            this.emit('change', this.value, this);
+        }
+
+        return this;
+    }
+
+    emit(type, ...args) {
+        this.listeners[type].forEach(listener => listener(...args));
+    }
+
+    // Подписки возвращают функцию отписки
+    onChange(listener) {
+        this.listeners.change.add(listener);
+        return () => this.listeners.change.delete(listener);
+    }
+
+    onMilestone(listener) {
+        this.listeners.milestone.add(listener);
+        return () => this.listeners.milestone.delete(listener);
+    }
+
+    onThreshold(listener) {
+        this.listeners.threshold.add(listener);
+        return () => this.listeners.threshold.delete(listener);
+    }
+}
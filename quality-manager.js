@@ -0,0 +1,250 @@
+// ============================================
+// QUALITY MANAGER
+// Адаптивное качество по реальному времени кадра
+// ============================================
+
+import { CONFIG, isWeakDevice } from './config.js';
+
+// Уровни качества от дешёвого к дорогому
+export const QUALITY_TIERS = [
+    {
+        name: 'minimal',
+        resolutionScale: 0.5,   // Доля разрешения шейдерного канваса
+        maxPixelRatio: 1,       // Потолок devicePixelRatio
+        maxPasses: 1,           // Сколько эффектов пайплайна включено
+        particleLimit: 200      // Мягкий предел живых частиц
+    },
+    {
+        name: 'low',
+        resolutionScale: 0.5,
+        maxPixelRatio: 1,
+        maxPasses: 2,
+        particleLimit: 1000
+    },
+    {
+        name: 'medium',
+        resolutionScale: 0.75,
+        maxPixelRatio: 1.5,
+        maxPasses: 4,
+        particleLimit: 5000
+    },
+    {
+        name: 'high',
+        resolutionScale: 1,
+        maxPixelRatio: 2,
+        maxPasses: Infinity,
+        particleLimit: 20000
+    },
+    {
+        name: 'ultra',
+        resolutionScale: 1,
+        maxPixelRatio: 3,
+        maxPasses: Infinity,
+        particleLimit: 50000
+    }
+];
+
+// Пороги и гистерезис
+const DEFAULT_OPTIONS = {
+    windowDuration: 1,          // Окно усреднения, с
+    slowFrameTime: 1000 / 45,   // Медленнее — кандидат на понижение, мс
+    fastFrameTime: 1000 / 57,   // Быстрее — кандидат на повышение, мс
+    downgradeWindows: 2,        // Сколько медленных окон подряд для понижения
+    upgradeWindows: 5,          // Сколько быстрых окон подряд для повышения
+    cooldown: 3,                // Пауза после смены уровня, с
+    maxFrameTime: 250           // Кадры дольше (сон вкладки) не учитываются, мс
+};
+
+export default class QualityManager {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.tiers = options.tiers || QUALITY_TIERS;
+
+        this.tierIndex = this.findTier(options.initialTier || this.detectInitialTier());
+
+        // Сбор статистики кадров
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.cooldown = 0;
+        this.averageFrameTime = 0;
+
+        this.effects = null;
+        this.unsubscribe = null;
+        this.unsubscribeFallback = null;
+        // Кадр собственного цикла в CSS-режиме (см. watchFrames)
+        this.fallbackFrame = null;
+        this.listeners = new Set();
+    }
+
+    get tier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    // Начальный уровень по конфигу, быстрому режиму и устройству
+    detectInitialTier() {
+        if (window.FAST_MODE) return 'minimal';
+
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        // disableWebGLonMobile: WebGL на мобильных остаётся лишь в минимальном объёме
+        if (isMobile && CONFIG.performance.disableWebGLonMobile) return 'minimal';
+
+        if (CONFIG.performance.detectWeakDevice && isWeakDevice()) return 'low';
+
+        if (CONFIG.performance.simpleParticles) return 'medium';
+
+        return 'high';
+    }
+
+    findTier(name) {
+        const index = this.tiers.findIndex(tier => tier.name === name);
+        return index >= 0 ? index : 0;
+    }
+
+    // Подключение к циклу анимации ShaderEffects
+    attach(shaderEffects) {
+        this.detach();
+
+        this.effects = shaderEffects;
+        this.apply();
+        this.unsubscribe = shaderEffects.onFrame((deltaTime) => this.sample(deltaTime));
+        this.unsubscribeFallback = shaderEffects.onFallback((mode) => {
+            if (mode === 'css') this.watchFrames();
+        });
+
+        console.log(`⚙️ Качество: ${this.tier.name}`);
+    }
+
+    detach() {
+        if (this.unsubscribe) this.unsubscribe();
+        if (this.unsubscribeFallback) this.unsubscribeFallback();
+        if (this.fallbackFrame) cancelAnimationFrame(this.fallbackFrame);
+        this.unsubscribe = null;
+        this.unsubscribeFallback = null;
+        this.fallbackFrame = null;
+        this.effects = null;
+    }
+
+    // Без WebGL цикла шейдеров нет: кадры CSS-замены считает свой requestAnimationFrame.
+    // Цикл заканчивается вместе с CSS-режимом
+    watchFrames() {
+        let last = null;
+        this.cooldown = this.options.cooldown;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+
+        const tick = (now) => {
+            if (last !== null) this.sample((now - last) / 1000);
+            last = now;
+            this.fallbackFrame = this.inFallback() ? requestAnimationFrame(tick) : null;
+        };
+        this.fallbackFrame = requestAnimationFrame(tick);
+    }
+
+    inFallback() {
+        return Boolean(this.effects) && this.effects.renderMode === 'css';
+    }
+
+    // Учёт одного кадра (deltaTime в секундах)
+    sample(deltaTime) {
+        const frameTime = deltaTime * 1000;
+        if (frameTime <= 0 || frameTime > this.options.maxFrameTime) return;
+
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+            return;
+        }
+
+        this.windowTime += deltaTime;
+        this.windowFrames++;
+
+        if (this.windowTime < this.options.windowDuration) return;
+
+        this.averageFrameTime = (this.windowTime * 1000) / this.windowFrames;
+        this.windowTime = 0;
+        this.windowFrames = 0;
+
+        this.evaluate(this.averageFrameTime);
+    }
+
+    // Решение по среднему времени кадра окна
+    evaluate(frameTime) {
+        if (frameTime > this.options.slowFrameTime) {
+            this.slowWindows++;
+            this.fastWindows = 0;
+        } else if (frameTime < this.options.fastFrameTime) {
+            this.fastWindows++;
+            this.slowWindows = 0;
+        } else {
+            this.slowWindows = 0;
+            this.fastWindows = 0;
+        }
+
+        if (this.slowWindows >= this.options.downgradeWindows) {
+            this.step(-1);
+        } else if (this.fastWindows >= this.options.upgradeWindows) {
+            this.step(1);
+        }
+    }
+
+    // Сдвиг уровня на direction ступеней. Ниже минимального уровня и в CSS-режиме,
+    // где уровни не действуют, остаётся только упрощать рендер
+    step(direction) {
+        const index = Math.max(0, Math.min(this.tiers.length - 1, this.tierIndex + direction));
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+
+        if (direction < 0 && (index === this.tierIndex || this.inFallback())) {
+            this.degradeRender();
+            return;
+        }
+
+        if (index === this.tierIndex || this.inFallback()) return;
+
+        this.setTier(this.tiers[index].name);
+    }
+
+    // Шаг вниз по цепочке режимов рендера: full → simple → css → static (ShaderEffects.degrade)
+    degradeRender() {
+        if (!this.effects) return;
+
+        this.cooldown = this.options.cooldown;
+        const reason = `Кадр ${this.averageFrameTime.toFixed(1)} мс не укладывается в бюджет на минимальном качестве`;
+        console.warn(`⚙️ ${reason}`);
+        this.effects.degrade(new Error(reason));
+    }
+
+    // Явная установка уровня
+    setTier(name) {
+        const previous = this.tier;
+        this.tierIndex = this.findTier(name);
+        this.cooldown = this.options.cooldown;
+
+        if (previous === this.tier) return;
+
+        console.log(`⚙️ Качество: ${previous.name} → ${this.tier.name} (${this.averageFrameTime.toFixed(1)} мс/кадр)`);
+        this.apply();
+        this.listeners.forEach(listener => listener(this.tier, previous));
+    }
+
+    // Применение уровня к эффектам
+    apply() {
+        if (!this.effects) return;
+
+        const tier = { ...this.tier };
+
+        // Быстрый режим задаёт собственный предел частиц
+        if (window.FAST_MODE && window.FAST_MODE.particles !== undefined) {
+            tier.particleLimit = Math.min(tier.particleLimit, window.FAST_MODE.particles);
+        }
+
+        this.effects.setQuality(tier);
+    }
+
+    // Подписка на смену уровня: (tier, previous) => void
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
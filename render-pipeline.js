@@ -0,0 +1,331 @@
+// ============================================
+// RENDER PIPELINE
+// Многопроходный рендер через framebuffer'ы
+// ============================================
+
+// Общий вершинный шейдер всех проходов (полноэкранный квадрат)
+export const FULLSCREEN_VERTEX = `
+    attribute vec2 a_position;
+    varying vec2 v_texCoord;
+
+    void main() {
+        v_texCoord = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+// Заголовок, который подставляется в каждый фрагментный шейдер прохода
+export const PASS_HEADER = `
+    precision mediump float;
+
+    varying vec2 v_texCoord;
+    uniform sampler2D u_texture;
+    uniform vec2 u_resolution;
+    uniform float u_time;
+`;
+
+// Соответствие GLSL-типов суффиксам gl.uniform*
+const UNIFORM_TYPES = {
+    float: '1f',
+    vec2: '2f',
+    vec3: '3f',
+    vec4: '4f',
+    int: '1i',
+    ivec2: '2i',
+    ivec3: '3i',
+    ivec4: '4i',
+    bool: '1i',
+    sampler2D: '1i',
+    mat2: 'Matrix2fv',
+    mat3: 'Matrix3fv',
+    mat4: 'Matrix4fv'
+};
+
+// Разбор объявлений uniform в исходнике шейдера
+// Возвращает [{ name, type }], где type — суффикс для setUniform
+export function parseUniforms(source) {
+    const uniforms = [];
+    const declaration = /uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+([^;]+);/g;
+
+    let match;
+    while ((match = declaration.exec(source)) !== null) {
+        const baseType = UNIFORM_TYPES[match[1]];
+        if (!baseType) continue;
+
+        // Несколько имён через запятую, массивы — с суффиксом v
+        match[2].split(',').forEach(part => {
+            const [, name, array] = part.trim().match(/^(\w+)\s*(\[[^\]]+\])?$/) || [];
+            if (!name) return;
+
+            const isVector = baseType.endsWith('v');
+            uniforms.push({
+                name,
+                type: array && !isVector ? `${baseType}v` : baseType
+            });
+        });
+    }
+
+    return uniforms;
+}
+
+// Загрузка значения uniform по типу ('1f', '2f', '1i', '2fv', 'Matrix4fv'...)
+export function setUniform(gl, location, type, value) {
+    if (location === null || location === undefined) return;
+
+    if (type.startsWith('Matrix')) {
+        gl[`uniform${type}`](location, false, value);
+    } else if (type.endsWith('v')) {
+        gl[`uniform${type}`](location, value);
+    } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        gl[`uniform${type}`](location, ...value);
+    } else {
+        gl[`uniform${type}`](location, value);
+    }
+}
+
+export default class RenderPipeline {
+    constructor(gl) {
+        this.gl = gl;
+
+        // Скомпилированные проходы по имени
+        this.passes = new Map();
+
+        // Проход-источник (рисует сцену во внеэкранную текстуру)
+        this.sourcePass = null;
+
+        // Порядок пост-проходов
+        this.order = [];
+
+        // Два render target для ping-pong между проходами
+        this.targets = [];
+        this.width = 0;
+        this.height = 0;
+
+        this.vertexBuffer = null;
+    }
+
+    // Создание общих ресурсов
+    init() {
+        const gl = this.gl;
+
+        // Вершины для полноэкранного квадрата
+        const vertices = new Float32Array([
+            -1.0, -1.0,
+             1.0, -1.0,
+            -1.0,  1.0,
+             1.0,  1.0
+        ]);
+
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+    }
+
+    // Добавление прохода
+    // descriptor: { name, fragment, uniforms: { u_name: { type, value } }, source }
+    // value — число/массив или функция (frame) => значение.
+    // program — программа, собранная из FULLSCREEN_VERTEX и PASS_HEADER + fragment
+    addPass(descriptor, program) {
+        if (!descriptor || !descriptor.name || !program) {
+            throw new Error('Проход должен иметь name и собранную программу');
+        }
+
+        const gl = this.gl;
+
+        // Собираем location для общих и собственных uniform
+        const uniforms = {};
+        Object.entries(descriptor.uniforms || {}).forEach(([name, spec]) => {
+            uniforms[name] = {
+                ...spec,
+                location: gl.getUniformLocation(program, name)
+            };
+        });
+
+        const pass = {
+            name: descriptor.name,
+            descriptor,
+            program,
+            position: gl.getAttribLocation(program, 'a_position'),
+            common: {
+                texture: gl.getUniformLocation(program, 'u_texture'),
+                resolution: gl.getUniformLocation(program, 'u_resolution'),
+                time: gl.getUniformLocation(program, 'u_time')
+            },
+            uniforms
+        };
+
+        // Заменяем проход с тем же именем
+        this.removePass(descriptor.name);
+
+        if (descriptor.source) {
+            this.sourcePass = pass;
+        } else {
+            this.passes.set(descriptor.name, pass);
+            if (!this.order.includes(descriptor.name)) {
+                this.order.push(descriptor.name);
+            }
+        }
+
+        return pass;
+    }
+
+    // Удаление прохода
+    removePass(name) {
+        if (this.sourcePass && this.sourcePass.name === name) {
+            this.gl.deleteProgram(this.sourcePass.program);
+            this.sourcePass = null;
+        }
+
+        const pass = this.passes.get(name);
+        if (pass) {
+            this.gl.deleteProgram(pass.program);
+            this.passes.delete(name);
+        }
+
+        this.order = this.order.filter(passName => passName !== name);
+    }
+
+    // Изменение порядка пост-проходов (неизвестные имена игнорируются)
+    setOrder(names) {
+        this.order = names.filter(name => this.passes.has(name));
+    }
+
+    // Создание render target (текстура + framebuffer)
+    createTarget(width, height) {
+        const gl = this.gl;
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0,
+                      gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+        // NPOT-текстуры в WebGL1 работают только с CLAMP и без мипмапов
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+                                gl.TEXTURE_2D, texture, 0);
+
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(texture);
+            throw new Error(`Framebuffer не готов (0x${status.toString(16)})`);
+        }
+
+        return { texture, framebuffer };
+    }
+
+    // Пересоздание render target под новый размер
+    resize(width, height) {
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
+        if (width === this.width && height === this.height && this.targets.length) return;
+
+        this.disposeTargets();
+        this.width = width;
+        this.height = height;
+        this.targets = [
+            this.createTarget(width, height),
+            this.createTarget(width, height)
+        ];
+    }
+
+    // Рендер кадра: источник → цепочка пост-проходов → экран
+    // frame — произвольное состояние, которое получают функции uniform
+    render(frame) {
+        const gl = this.gl;
+        if (!this.sourcePass || this.targets.length < 2) return;
+
+        gl.disable(gl.BLEND);
+
+        const chain = this.order
+            .map(name => this.passes.get(name))
+            .filter(Boolean);
+
+        // Без пост-проходов источник рисуется прямо на экран
+        if (chain.length === 0) {
+            this.drawPass(this.sourcePass, null, null, frame);
+            return;
+        }
+
+        this.drawPass(this.sourcePass, null, this.targets[0], frame);
+
+        let read = 0;
+        chain.forEach((pass, index) => {
+            const isLast = index === chain.length - 1;
+            const write = isLast ? null : this.targets[1 - read];
+
+            this.drawPass(pass, this.targets[read].texture, write, frame);
+            read = 1 - read;
+        });
+    }
+
+    // Отрисовка одного прохода
+    drawPass(pass, inputTexture, target, frame) {
+        const gl = this.gl;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        if (target) {
+            gl.viewport(0, 0, this.width, this.height);
+        } else {
+            gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        }
+
+        gl.useProgram(pass.program);
+
+        // Квадрат
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.enableVertexAttribArray(pass.position);
+        gl.vertexAttribPointer(pass.position, 2, gl.FLOAT, false, 0, 0);
+
+        // Входная текстура предыдущего прохода
+        if (inputTexture) {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+            gl.uniform1i(pass.common.texture, 0);
+        }
+
+        gl.uniform2f(pass.common.resolution, this.width, this.height);
+        gl.uniform1f(pass.common.time, frame.time || 0);
+
+        // Собственные uniform прохода
+        Object.values(pass.uniforms).forEach(uniform => {
+            const value = typeof uniform.value === 'function'
+                ? uniform.value(frame)
+                : uniform.value;
+            setUniform(gl, uniform.location, uniform.type, value);
+        });
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    // Удаление render target
+    disposeTargets() {
+        this.targets.forEach(target => {
+            this.gl.deleteFramebuffer(target.framebuffer);
+            this.gl.deleteTexture(target.texture);
+        });
+        this.targets = [];
+    }
+
+    // Очистка ресурсов
+    dispose() {
+        this.disposeTargets();
+
+        if (this.sourcePass) this.gl.deleteProgram(this.sourcePass.program);
+        this.passes.forEach(pass => this.gl.deleteProgram(pass.program));
+        if (this.vertexBuffer) this.gl.deleteBuffer(this.vertexBuffer);
+
+        this.sourcePass = null;
+        this.passes.clear();
+        this.order = [];
+        this.vertexBuffer = null;
+    }
+}
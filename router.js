@@ -0,0 +1,370 @@
+// ============================================
+// ROUTER
+// Переходы между страницами без перезагрузки: History API, растворение
+// сцены и непрерывный звук. Канвасы и #ambientAudio переживают переход,
+// остальное содержимое <body> берётся из HTML новой страницы
+// ============================================
+
+import StateStorage from './state-storage.js';
+
+// Элементы <body>, которые не заменяются при переходе
+export const PERSISTENT_IDS = ['shaderCanvas', 'particleCanvas', 'ambientAudio'];
+
+// Фазы перехода, мс: уход стирает страницу, приход проявляет новую.
+// Это же запас на случай, если animationend не придёт
+const TRANSITION = {
+    leave: 700,
+    enter: 900
+};
+
+// Ключ страницы в visitedPages: index.html и / → 'index', journey-echo.html → 'journey-echo'
+export function pageId(url) {
+    const path = new URL(url, window.location.href).pathname;
+    const name = path.slice(path.lastIndexOf('/') + 1).replace(/\.html$/, '');
+    return name || 'index';
+}
+
+// Та же страница: адреса различаются только хэшем
+function samePage(a, b) {
+    return a.origin === b.origin && a.pathname === b.pathname && a.search === b.search;
+}
+
+// Промис или таймаут — что раньше
+function within(promise, timeout) {
+    return Promise.race([promise, new Promise(resolve => setTimeout(resolve, timeout))]);
+}
+
+// Конец CSS-анимации элемента (без анимации — сразу)
+function afterAnimation(element, timeout) {
+    if (getComputedStyle(element).animationName === 'none') return Promise.resolve();
+
+    return within(new Promise(resolve => {
+        element.addEventListener('animationend', function handle(e) {
+            if (e.target !== element) return;
+            element.removeEventListener('animationend', handle);
+            resolve();
+        });
+    }), timeout);
+}
+
+// Текущий роутер: создаётся первой страницей (см. definePage)
+let router = null;
+
+// Страница для роутера: { mount(context), unmount() }.
+// context: { initial — первая страница документа, url, router }.
+// Модуль, загруженный браузером, запускает роутер со своей страницей;
+// модуль, загруженный роутером, только отдаёт описание
+export function definePage(page) {
+    if (!router) {
+        router = new Router();
+        window.router = router;
+
+        const start = () => router.start(page);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start);
+        } else {
+            start();
+        }
+    }
+
+    return page;
+}
+
+export default class Router {
+    constructor(options = {}) {
+        this.persistent = options.persistent || PERSISTENT_IDS;
+        this.storage = options.storage || new StateStorage();
+
+        // Текущая страница и её адрес
+        this.page = null;
+        this.url = new URL(window.location.href);
+
+        // Идущий переход и последний адрес, запрошенный во время него
+        this.navigation = null;
+        this.pending = null;
+
+        // Разобранные страницы: адрес без хэша → Promise<Document>
+        this.documents = new Map();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+    }
+
+    // Первая страница документа: перехват ссылок и кнопок истории
+    async start(page) {
+        // Прокрутку при «Назад» восстанавливает роутер, браузер не знает о смене страницы
+        history.scrollRestoration = 'manual';
+        history.replaceState({ route: true, scroll: window.scrollY }, '');
+
+        document.addEventListener('click', this.handleClick);
+        window.addEventListener('popstate', this.handlePopState);
+
+        // Переход, запрошенный до конца первой загрузки, ждёт её.
+        // Загрузка документа — новая сессия, с какой бы страницы он ни открылся
+        this.navigation = this.markVisited(this.url, true)
+            .then(() => this.mount(page, true))
+            .finally(() => this.settle());
+
+        return this.navigation;
+    }
+
+    // Ссылки на страницы сайта открываются роутером; новые вкладки,
+    // скачивания и ссылки, уже обработанные страницей, остаются браузеру
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+
+        const url = new URL(link.href, window.location.href);
+        if (!this.isRoutable(url) || samePage(url, this.url)) return;
+
+        e.preventDefault();
+        this.navigate(url.href);
+    }
+
+    // «Назад» и «Вперёд»; смена только хэша — дело страницы (hashchange)
+    handlePopState(e) {
+        const url = new URL(window.location.href);
+        if (samePage(url, this.url)) return;
+
+        this.navigate(url.href, {
+            history: 'none',
+            scroll: e.state && e.state.scroll
+        });
+    }
+
+    // HTML-страница того же сайта
+    isRoutable(url) {
+        return url.origin === window.location.origin &&
+               (url.pathname.endsWith('/') || url.pathname.endsWith('.html'));
+    }
+
+    // Переход на адрес. options: { history: 'push' | 'replace' | 'none', scroll }.
+    // Во время перехода запоминается только последний запрошенный адрес
+    navigate(href, options = {}) {
+        const url = new URL(href, window.location.href);
+
+        if (!this.isRoutable(url)) {
+            window.location.href = url.href;
+            return Promise.resolve();
+        }
+
+        if (this.navigation) {
+            // «Назад» посреди перехода: адрес уже сменился, запись истории заменяем
+            const mode = options.history === 'none' ? 'replace' : options.history;
+            this.pending = { href: url.href, options: { ...options, history: mode } };
+            return this.navigation;
+        }
+
+        this.navigation = this.transition(url, options)
+            .catch(error => {
+                // Страница не загрузилась — обычный переход браузера
+                console.error('❌ Переход не удался, загружаем страницу целиком:', error);
+                window.location.href = url.href;
+            })
+            .finally(() => this.settle());
+
+        return this.navigation;
+    }
+
+    // Переход закончен: следующий — последний запрошенный за это время
+    settle() {
+        this.navigation = null;
+
+        const next = this.pending;
+        this.pending = null;
+        if (next) this.navigate(next.href, next.options);
+    }
+
+    async transition(url, options) {
+        const mode = options.history || 'push';
+
+        // Прокрутка уходящей страницы — для возврата кнопкой «Назад»
+        if (mode === 'push') {
+            history.replaceState({ ...history.state, route: true, scroll: window.scrollY }, '');
+        }
+
+        // Страница грузится, пока старая стирается
+        const [doc] = await Promise.all([this.load(url), this.leave()]);
+        const page = await this.importPage(doc, url);
+
+        await this.unmount();
+
+        if (mode === 'push') {
+            history.pushState({ route: true, scroll: 0 }, '', url.href);
+        } else if (mode === 'replace') {
+            history.replaceState({ route: true, scroll: 0 }, '', url.href);
+        }
+
+        this.url = url;
+        this.swap(doc);
+        window.scrollTo(0, options.scroll || 0);
+
+        await this.markVisited(url);
+        await this.mount(page, false);
+        await this.enter();
+
+        console.log(`🧭 Переход: ${pageId(url)}`);
+    }
+
+    // HTML страницы по адресу без хэша; разобранный документ переиспользуется
+    load(url) {
+        const key = url.href.split('#')[0];
+
+        if (!this.documents.has(key)) {
+            const loading = fetch(key)
+                .then(response => {
+                    if (!response.ok) throw new Error(`${key}: ${response.status}`);
+                    return response.text();
+                })
+                .then(html => new DOMParser().parseFromString(html, 'text/html'));
+
+            // Неудачная загрузка не запоминается
+            loading.catch(() => this.documents.delete(key));
+            this.documents.set(key, loading);
+        }
+
+        return this.documents.get(key);
+    }
+
+    // Модуль страницы — из её <script type="module">; повторный import отдаёт тот же модуль
+    async importPage(doc, url) {
+        const script = doc.querySelector('script[type="module"][src]');
+        if (!script) throw new Error(`${url.pathname}: нет модуля страницы`);
+
+        const module = await import(new URL(script.getAttribute('src'), url).href);
+        if (!module.default || typeof module.default.mount !== 'function') {
+            throw new Error(`${script.getAttribute('src')}: модуль не описывает страницу (definePage)`);
+        }
+
+        return module.default;
+    }
+
+    async mount(page, initial) {
+        this.page = page;
+
+        try {
+            await page.mount({ initial, url: this.url, router: this });
+        } catch (error) {
+            console.error(`❌ Страница ${pageId(this.url)} не запустилась:`, error);
+        }
+    }
+
+    // Страница сохраняет состояние и снимает обработчики до замены разметки
+    async unmount() {
+        if (!this.page || !this.page.unmount) return;
+
+        try {
+            await this.page.unmount();
+        } catch (error) {
+            console.error(`❌ Страница ${pageId(this.url)} не остановилась:`, error);
+        }
+        this.page = null;
+    }
+
+    // Страница в списке посещённых (поля других страниц не трогаются);
+    // newSession — ещё и счётчик сессий для вехи возвращения
+    async markVisited(url, newSession = false) {
+        const record = (await this.storage.load()) || { progress: {}, settings: {} };
+        record.progress = record.progress || {};
+
+        const visited = new Set(record.progress.visitedPages || ['index']);
+        const id = pageId(url);
+        if (visited.has(id) && !newSession) return;
+
+        visited.add(id);
+        record.progress.visitedPages = Array.from(visited);
+        if (newSession) record.progress.sessions = (record.progress.sessions || 0) + 1;
+        await this.storage.save(record);
+    }
+
+    isPersistent(element) {
+        return this.persistent.includes(element.id);
+    }
+
+    // Заменяемые элементы <body> (скрытые не анимируются)
+    contentElements() {
+        return Array.from(document.body.children).filter(element =>
+            !this.isPersistent(element) && element.tagName !== 'SCRIPT'
+        );
+    }
+
+    // Разметка новой страницы вместо старой; постоянные элементы остаются на местах
+    swap(doc) {
+        const { body } = document;
+
+        document.title = doc.title;
+        const description = doc.querySelector('meta[name="description"]');
+        const currentDescription = document.querySelector('meta[name="description"]');
+        if (description && currentDescription) {
+            currentDescription.content = description.content;
+        }
+
+        // Класс и data-* у <body> описывают страницу (journey-page, data-journey)
+        body.className = doc.body.className;
+        Object.keys(body.dataset).forEach(key => delete body.dataset[key]);
+        Object.assign(body.dataset, doc.body.dataset);
+
+        Array.from(body.children).forEach(element => {
+            if (!this.isPersistent(element)) element.remove();
+        });
+
+        // Новые элементы встают перед постоянным, который следует за ними в новой разметке.
+        // Скрипты не переносятся: модуль страницы загружает роутер
+        let incoming = [];
+        Array.from(doc.body.children).forEach(element => {
+            const persistent = this.isPersistent(element) && document.getElementById(element.id);
+            if (persistent) {
+                incoming.forEach(node => body.insertBefore(node, persistent));
+                incoming = [];
+            } else if (element.tagName !== 'SCRIPT') {
+                const node = document.importNode(element, true);
+                node.classList.add('route-waiting');
+                incoming.push(node);
+            }
+        });
+        incoming.forEach(node => body.appendChild(node));
+    }
+
+    // Уход: страница стирается сверху вниз, сцена растворяется той же полосой.
+    // Без triggerTransition(): его вспышки длятся дольше ухода и достались бы новой странице
+    async leave() {
+        const elements = this.contentElements();
+        elements.forEach(element => element.classList.add('route-leaving'));
+
+        if (window.audioManager) {
+            window.audioManager.play('glitch', { volume: 0.7, pitch: 0.5 });
+        }
+
+        const effects = window.shaderEffects;
+        await Promise.all([
+            ...elements.map(element => afterAnimation(element, TRANSITION.leave)),
+            effects ? within(effects.dissolve('out', TRANSITION.leave / 1000), TRANSITION.leave) : null
+        ]);
+    }
+
+    // Приход: новая страница проявляется из размытия, сцена — из темноты
+    async enter() {
+        const elements = this.contentElements();
+        elements.forEach(element => {
+            element.classList.remove('route-waiting');
+            element.classList.add('route-entering');
+        });
+
+        const effects = window.shaderEffects;
+        await Promise.all([
+            ...elements.map(element => afterAnimation(element, TRANSITION.enter)),
+            effects ? within(effects.dissolve('in', TRANSITION.enter / 1000), TRANSITION.enter) : null
+        ]);
+
+        elements.forEach(element => element.classList.remove('route-entering'));
+
+        // Фокус — в начало новой страницы, как после обычной загрузки
+        const main = document.querySelector('main');
+        if (main) {
+            if (!main.hasAttribute('tabindex')) main.setAttribute('tabindex', '-1');
+            main.focus({ preventScroll: true });
+        }
+    }
+}
@@ -0,0 +1,183 @@
+// ============================================
+// SHADER COMPILER
+// Компиляция программ с таймаутом и понятными ошибками
+// ============================================
+
+// Строк контекста вокруг строки с ошибкой
+const CONTEXT_LINES = 2;
+
+// Ошибка компиляции или линковки с выдержкой из исходника
+export class ShaderCompileError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ShaderCompileError';
+        this.label = details.label || null;
+        this.log = details.log || '';
+        this.source = details.source || '';
+        this.lines = details.lines || [];
+        this.timeout = Boolean(details.timeout);
+    }
+}
+
+// Номера строк из лога драйвера ("ERROR: 0:12: ...")
+export function parseErrorLines(log) {
+    const lines = new Set();
+    const pattern = /(?:ERROR|WARNING):\s*\d+:(\d+):/g;
+
+    let match;
+    while ((match = pattern.exec(log || '')) !== null) {
+        lines.add(Number(match[1]));
+    }
+
+    return [...lines].sort((a, b) => a - b);
+}
+
+// Выдержка из исходника с номерами строк; строки с ошибками помечены ">"
+export function formatShaderSource(source, errorLines = []) {
+    const lines = source.split('\n');
+    const width = String(lines.length).length;
+
+    const visible = new Set();
+    errorLines.forEach(line => {
+        for (let i = line - CONTEXT_LINES; i <= line + CONTEXT_LINES; i++) {
+            if (i >= 1 && i <= lines.length) visible.add(i);
+        }
+    });
+
+    // Без распознанных строк показываем исходник целиком
+    if (visible.size === 0) {
+        lines.forEach((line, index) => visible.add(index + 1));
+    }
+
+    let previous = 0;
+    const output = [];
+    [...visible].sort((a, b) => a - b).forEach(number => {
+        if (previous && number > previous + 1) output.push('   ...');
+
+        const marker = errorLines.includes(number) ? '>' : ' ';
+        output.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+        previous = number;
+    });
+
+    return output.join('\n');
+}
+
+export default class ShaderCompiler {
+    constructor(gl, options = {}) {
+        this.gl = gl;
+        this.timeout = options.timeout || 5000;
+
+        // Параллельная компиляция: статус можно опрашивать без блокировки
+        this.parallel = gl.getExtension('KHR_parallel_shader_compile');
+    }
+
+    // Компиляция шейдера без проверки статуса
+    createShader(type, source) {
+        const shader = this.gl.createShader(type);
+        this.gl.shaderSource(shader, source);
+        this.gl.compileShader(shader);
+        return shader;
+    }
+
+    // Запуск компиляции и линковки программы
+    startProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+
+        const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexSource);
+        const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentSource);
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+
+        return { program, vertexShader, fragmentShader, vertexSource, fragmentSource };
+    }
+
+    // Проверка результата; при ошибке ресурсы удаляются и бросается ShaderCompileError
+    finishProgram(job, label) {
+        const gl = this.gl;
+        const { program, vertexShader, fragmentShader } = job;
+
+        const failure = this.getShaderFailure(vertexShader, job.vertexSource, 'вершинный', label) ||
+                        this.getShaderFailure(fragmentShader, job.fragmentSource, 'фрагментный', label);
+
+        let linkLog = null;
+        if (!failure && !gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            linkLog = gl.getProgramInfoLog(program);
+        }
+
+        // Шейдеры после линковки больше не нужны
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+
+        if (failure || linkLog !== null) {
+            gl.deleteProgram(program);
+            throw failure || new ShaderCompileError(
+                `Ошибка линковки программы "${label}": ${linkLog}`,
+                { label, log: linkLog }
+            );
+        }
+
+        return program;
+    }
+
+    // Ошибка компиляции шейдера или null
+    getShaderFailure(shader, source, kind, label) {
+        const gl = this.gl;
+        if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return null;
+
+        const log = gl.getShaderInfoLog(shader) || '';
+        const lines = parseErrorLines(log);
+
+        return new ShaderCompileError(
+            `Ошибка компиляции (${kind} шейдер "${label}"):\n${log.trim()}\n${formatShaderSource(source, lines)}`,
+            { label, log, source, lines }
+        );
+    }
+
+    // Синхронная компиляция (блокирует поток до готовности драйвера)
+    compileProgramSync(vertexSource, fragmentSource, label = 'program') {
+        return this.finishProgram(this.startProgram(vertexSource, fragmentSource), label);
+    }
+
+    // Асинхронная компиляция. С KHR_parallel_shader_compile статус опрашивается
+    // по кадрам и компиляция прерывается по таймауту; без расширения — как синхронная
+    compileProgram(vertexSource, fragmentSource, label = 'program') {
+        const job = this.startProgram(vertexSource, fragmentSource);
+
+        if (!this.parallel) {
+            return Promise.resolve().then(() => this.finishProgram(job, label));
+        }
+
+        return new Promise((resolve, reject) => {
+            const started = performance.now();
+
+            const poll = () => {
+                if (this.gl.getProgramParameter(job.program, this.parallel.COMPLETION_STATUS_KHR)) {
+                    try {
+                        resolve(this.finishProgram(job, label));
+                    } catch (error) {
+                        reject(error);
+                    }
+                    return;
+                }
+
+                if (performance.now() - started > this.timeout) {
+                    this.gl.deleteShader(job.vertexShader);
+                    this.gl.deleteShader(job.fragmentShader);
+                    this.gl.deleteProgram(job.program);
+                    reject(new ShaderCompileError(
+                        `Компиляция "${label}" не уложилась в ${this.timeout} мс`,
+                        { label, timeout: true }
+                    ));
+                    return;
+                }
+
+                requestAnimationFrame(poll);
+            };
+
+            poll();
+        });
+    }
+}
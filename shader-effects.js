@@ -3,34 +3,425 @@
 // Управление психоделическими эффектами WebGL
 // ============================================
 
+import RenderPipeline, { FULLSCREEN_VERTEX, PASS_HEADER, parseUniforms } from './render-pipeline.js';
+import ShaderCompiler from './shader-compiler.js';
+import Timeline from './timeline.js';
+import ParticleSystem, { REFERENCE_FPS } from './particle-system.js';
+
+// Цепочка деградации: полный пайплайн → упрощённый шейдер → CSS → статика
+export const RENDER_MODES = ['full', 'simple', 'css', 'static'];
+
+// Допустимые диапазоны параметров после наложения твинов
+const PARAM_LIMITS = {
+    aberration: [0, 1],
+    flicker: [0, 1],
+    intensity: [0, 2],
+    dissolve: [0, 1]
+};
+
+// Сколько потерь контекста терпим, прежде чем перейти на CSS
+const MAX_CONTEXT_LOSSES = 3;
+
+// Насколько звук раскачивает картинку (0 — не влияет)
+const AUDIO_REACTIVITY = {
+    flicker: 0.4,           // Мерцание от атак и верхних частот
+    aberration: 0.3,        // Аберрация от баса
+    intensity: 0.3,         // Интенсивность сцены от громкости
+    particles: 2,           // Прирост частоты эмиттеров с reactive: true
+    onsetParticles: 20      // Частиц фонового эмиттера на каждую атаку
+};
+
+// Звуковые uniform, доступные любому эффекту без объявления источника
+const AUDIO_UNIFORMS = {
+    u_audio: (frame) => [frame.audio.low, frame.audio.mid, frame.audio.high, frame.audio.rms],
+    u_pulse: (frame) => frame.audio.pulse
+};
+
+// Максимум одновременных волн искажения (размер uniform-массивов)
+export const MAX_DISTORTIONS = 8;
+
+// Кривые затухания волн: прогресс 0..1 → множитель силы
+const DECAY_CURVES = {
+    linear: (t) => 1 - t,
+    exponential: (t) => Math.exp(-5 * t) * (1 - t),
+    smooth: (t) => 1 - t * t * (3 - 2 * t),
+    pulse: (t) => Math.sin(Math.PI * t)
+};
+
+// Фоновые частицы по умолчанию: редкие медленные искры по всему экрану
+const BACKGROUND_EMITTER = {
+    shape: 'screen',
+    rate: 10,
+    limit: 100,
+    density: true,
+    reactive: true,
+    speed: [0, 15],
+    size: [1, 4],
+    life: [0.5, 1.0]
+};
+
+// Сцена: психоделическое поле и свечение вокруг курсора.
+// Рисуется во внеэкранную текстуру, которую затем читают эффекты
+const SCENE_EFFECT = {
+    uniforms: {
+        u_intensity: (frame) => frame.settings.intensity,
+        u_mouse: (frame) => frame.mouse
+    },
+    glsl: `
+        uniform float u_intensity;
+        uniform vec2 u_mouse;
+        uniform vec4 u_audio;
+        uniform float u_pulse;
+        
+        // Психоделический цветовой сдвиг
+        vec3 psychedelicColor(float time, vec2 coord) {
+            vec3 color;
+            color.r = 0.5 + 0.5 * sin(time * 0.5 + coord.x * 3.0);
+            color.g = 0.5 + 0.5 * sin(time * 0.7 + coord.y * 3.0 + 1.0);
+            color.b = 0.5 + 0.5 * sin(time * 0.9 + (coord.x + coord.y) * 3.0 + 2.0);
+            return color;
+        }
+        
+        void main() {
+            vec3 psychedelic = psychedelicColor(u_time, v_texCoord);
+            vec3 color = psychedelic * u_intensity * 0.3;
+            
+            // Влияние мыши
+            float mouseDist = distance(v_texCoord, u_mouse);
+            float mouseEffect = smoothstep(0.3, 0.0, mouseDist);
+            color += mouseEffect * 0.3 * psychedelic;
+            
+            // Бас раздувает свечение, атаки дают короткую вспышку
+            color += psychedelic * (u_audio.x * 0.15 + u_pulse * 0.1);
+            
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+// Упрощённая сцена без пост-проходов: один дешёвый градиент прямо на экран
+const SIMPLE_SCENE = {
+    uniforms: {
+        u_intensity: (frame) => frame.settings.intensity
+    },
+    glsl: `
+        uniform float u_intensity;
+        
+        void main() {
+            vec3 color = 0.5 + 0.5 * cos(u_time * 0.3 + v_texCoord.xyx * 2.0 + vec3(0.0, 2.0, 4.0));
+            gl_FragColor = vec4(color * u_intensity * 0.2, 1.0);
+        }
+    `
+};
+
+// Встроенные эффекты. Каждый читает результат предыдущего из u_texture.
+// uniform без явного источника берутся из параметров эффекта (u_name → params.name)
+const BUILTIN_EFFECTS = {
+    // Хроматическая аберрация
+    aberration: {
+        uniforms: {
+            u_aberration: (frame) => frame.settings.aberration
+        },
+        glsl: `
+            uniform float u_aberration;
+            
+            void main() {
+                float amount = u_aberration * 0.01;
+                float r = texture2D(u_texture, v_texCoord + vec2(amount, 0.0)).r;
+                float g = texture2D(u_texture, v_texCoord).g;
+                float b = texture2D(u_texture, v_texCoord - vec2(amount, 0.0)).b;
+                gl_FragColor = vec4(r, g, b, 1.0);
+            }
+        `
+    },
+    
+    // Волновое искажение: стек локальных волн вокруг точек воздействия
+    wave: {
+        uniforms: {
+            u_ripples: (frame) => frame.distortions.ripples,
+            u_rippleAge: (frame) => frame.distortions.ages,
+            u_rippleCount: (frame) => frame.distortions.count
+        },
+        defaults: {
+            rippleFrequency: 40.0,
+            rippleSpeed: 12.0
+        },
+        glsl: `
+            // xy — центр, z — радиус, w — текущая сила
+            uniform vec4 u_ripples[${MAX_DISTORTIONS}];
+            uniform float u_rippleAge[${MAX_DISTORTIONS}];
+            uniform float u_rippleCount;
+            uniform float u_rippleFrequency;
+            uniform float u_rippleSpeed;
+            
+            void main() {
+                vec2 aspect = vec2(u_resolution.x / u_resolution.y, 1.0);
+                vec2 offset = vec2(0.0);
+                
+                for (int i = 0; i < ${MAX_DISTORTIONS}; i++) {
+                    if (float(i) >= u_rippleCount) break;
+                    
+                    vec4 ripple = u_ripples[i];
+                    vec2 delta = (v_texCoord - ripple.xy) * aspect;
+                    float dist = length(delta);
+                    float falloff = smoothstep(ripple.z, 0.0, dist);
+                    float wave = sin(dist * u_rippleFrequency - u_rippleAge[i] * u_rippleSpeed);
+                    
+                    if (dist > 0.0001) {
+                        offset += normalize(delta) / aspect * wave * falloff * ripple.w * 0.02;
+                    }
+                }
+                
+                gl_FragColor = texture2D(u_texture, v_texCoord + offset);
+            }
+        `
+    },
+    
+    // Виньетирование
+    vignette: {
+        defaults: {
+            vignetteStart: 0.7,
+            vignetteEnd: 1.4
+        },
+        glsl: `
+            uniform float u_vignetteStart;
+            uniform float u_vignetteEnd;
+            
+            void main() {
+                vec2 uv = v_texCoord * 2.0 - 1.0;
+                float vignette = 1.0 - smoothstep(u_vignetteStart, u_vignetteEnd, length(uv));
+                vec4 color = texture2D(u_texture, v_texCoord);
+                gl_FragColor = vec4(color.rgb * vignette, color.a);
+            }
+        `
+    },
+    
+    // Мерцание
+    flicker: {
+        uniforms: {
+            u_flicker: (frame) => frame.settings.flicker
+        },
+        glsl: `
+            uniform float u_flicker;
+            
+            float flicker(float time, vec2 coord) {
+                return 0.9 + 0.1 * sin(time * 10.0 + coord.x * 50.0) *
+                                cos(time * 7.0 + coord.y * 30.0);
+            }
+            
+            void main() {
+                vec4 color = texture2D(u_texture, v_texCoord);
+                float value = mix(1.0, flicker(u_time, v_texCoord), u_flicker);
+                gl_FragColor = vec4(color.rgb * value, color.a);
+            }
+        `
+    },
+    
+    // Зерно
+    noise: {
+        defaults: {
+            noise: 0.05
+        },
+        glsl: `
+            uniform float u_noise;
+            
+            float random(vec2 st) {
+                return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123);
+            }
+            
+            void main() {
+                vec4 color = texture2D(u_texture, v_texCoord);
+                float noise = random(v_texCoord + u_time * 0.1) * u_noise;
+                gl_FragColor = vec4(color.rgb + noise, color.a);
+            }
+        `
+    },
+    
+    // Строки развёртки: открываются порогом прогресса (см. progress.js)
+    scanlines: {
+        defaults: {
+            scanlineDensity: 240.0,
+            scanlineStrength: 0.15
+        },
+        glsl: `
+            uniform float u_scanlineDensity;
+            uniform float u_scanlineStrength;
+            
+            void main() {
+                vec4 color = texture2D(u_texture, v_texCoord);
+                float line = 0.5 + 0.5 * sin((v_texCoord.y * u_scanlineDensity + u_time * 2.0) * 6.2831853);
+                gl_FragColor = vec4(color.rgb * (1.0 - u_scanlineStrength * line), color.a);
+            }
+        `
+    },
+    
+    // Медленный сдвиг оттенка по экрану: открывается порогом прогресса
+    prism: {
+        defaults: {
+            prismSpeed: 0.2,
+            prismAmount: 0.6
+        },
+        glsl: `
+            uniform float u_prismSpeed;
+            uniform float u_prismAmount;
+            
+            // Поворот цвета вокруг серой оси
+            vec3 rotateHue(vec3 color, float angle) {
+                const vec3 axis = vec3(0.57735);
+                float c = cos(angle);
+                return color * c + cross(axis, color) * sin(angle) + axis * dot(axis, color) * (1.0 - c);
+            }
+            
+            void main() {
+                vec4 color = texture2D(u_texture, v_texCoord);
+                float angle = u_time * u_prismSpeed + v_texCoord.y * 3.0;
+                gl_FragColor = vec4(mix(color.rgb, rotateHue(color.rgb, angle), u_prismAmount), color.a);
+            }
+        `
+    }
+};
+
+// Порядок встроенных эффектов по умолчанию; не перечисленные (scanlines, prism) выключены
+export const DEFAULT_PASS_ORDER = ['aberration', 'wave', 'vignette', 'flicker', 'noise'];
+
+// Растворение сцены для переходов между страницами: клетки гаснут полосой сверху вниз.
+// Проход включается только на время перехода и идёт последним
+const DISSOLVE_EFFECT = {
+    uniforms: {
+        u_dissolve: (frame) => frame.settings.dissolve
+    },
+    defaults: {
+        cells: 40.0
+    },
+    glsl: `
+        uniform float u_dissolve;
+        uniform float u_cells;
+        
+        float random(vec2 st) {
+            return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123);
+        }
+        
+        void main() {
+            vec4 color = texture2D(u_texture, v_texCoord);
+            
+            // Порог клетки: случайный, но верх экрана гаснет раньше низа
+            vec2 cell = floor(v_texCoord * vec2(u_cells, u_cells * 0.6));
+            float threshold = random(cell) * 0.5 + (1.0 - v_texCoord.y) * 0.5;
+            
+            // С запасом, чтобы при u_dissolve = 1 погасли и последние клетки
+            float progress = u_dissolve * 1.1;
+            float visible = smoothstep(progress - 0.06, progress, threshold);
+            float edge = visible * (1.0 - smoothstep(progress, progress + 0.06, threshold));
+            vec3 glow = vec3(1.0, 0.0, 1.0) * edge * step(0.001, u_dissolve);
+            
+            gl_FragColor = vec4(color.rgb * visible + glow, color.a);
+        }
+    `
+};
+
+// Настройки сцены по умолчанию: к ним возвращает applyPreset()
+const SCENE_SETTINGS = {
+    intensity: 1.0,
+    aberration: 0.5,
+    flicker: 0.3
+};
+
 export default class ShaderEffects {
     constructor(options = {}) {
         // Настройки
         this.settings = {
             enabled: true,
-            intensity: 1.0,
-            aberration: 0.5,
-            flicker: 0.3,
+            ...SCENE_SETTINGS,
             particleDensity: 0.7,
-            ...options.settings
+            ...options.settings,
+            dissolve: 0
         };
         
         // Ссылки на канвасы
         this.canvas = options.canvas;
         this.particleCanvas = options.particleCanvas;
         
-        // WebGL контексты
+        // WebGL контекст
         this.gl = null;
-        this.particleGl = null;
         
-        // Шейдерные программы
-        this.program = null;
-        this.particleProgram = null;
+        // Частицы рисуются на отдельном канвасе (WebGL или Canvas 2D)
+        this.particleSystem = new ParticleSystem(this.particleCanvas, {
+            capacity: options.maxParticles
+        });
+        this.particleSystem.density = this.settings.particleDensity;
+        
+        // Декларативное поведение частиц: { emitters, forces }
+        if (options.particles) {
+            this.particleSystem.configure(options.particles);
+        }
+        
+        // Многопроходный рендер
+        this.pipeline = null;
+        this.compiler = null;
+        this.compileTimeout = options.compileTimeout || 5000;
+        
+        // Текущий режим из RENDER_MODES и подписчики на его смену
+        this.renderMode = null;
+        this.fallbackListeners = new Set();
+        
+        // Подписчики на прогресс загрузки: (stage: 'shaders' | 'textures', done, total)
+        this.progressListeners = new Set();
+        
+        // Потеря WebGL-контекста: поколение растёт при каждой потере,
+        // чтобы компиляция, начатая на старом контексте, не тронула новый
+        this.contextLost = false;
+        this.contextLosses = 0;
+        this.contextGeneration = 0;
+        this.resumeOnRestore = false;
+        this.contextHandlers = null;
+        
+        this.scene = { name: 'scene', source: true, params: {}, ...SCENE_EFFECT };
+        
+        // Реестр эффектов и порядок их проходов
+        this.effects = new Map();
+        this.passOrder = [];
+        
+        // Встроенные эффекты; не перечисленные в options.passes выключены
+        const enabledPasses = options.passes || DEFAULT_PASS_ORDER;
+        Object.entries(BUILTIN_EFFECTS).forEach(([name, definition]) => {
+            this.registerEffect(name, {
+                ...definition,
+                enabled: enabledPasses.includes(name)
+            });
+        });
+        this.setPassOrder(enabledPasses);
+        this.registerEffect('dissolve', { ...DISSOLVE_EFFECT, enabled: false });
+        
+        // Завершение идущего растворения (см. dissolve())
+        this.finishDissolve = null;
         
         // Данные для эффектов
-        this.uniforms = {};
-        this.particles = [];
+        this.mouse = [0.5, 0.5]; // Центр экрана по умолчанию
+        
+        // Уровни звука (см. AudioAnalyser) и сила их влияния
+        this.audio = { low: 0, mid: 0, high: 0, rms: 0, pulse: 0 };
+        this.audioReactivity = { ...AUDIO_REACTIVITY, ...options.audioReactivity };
+        this.distortions = [];
+        this.distortionUniforms = {
+            ripples: new Float32Array(MAX_DISTORTIONS * 4),
+            ages: new Float32Array(MAX_DISTORTIONS),
+            count: 0
+        };
         this.time = 0;
+        
+        // Твины параметров и отложенные действия на часах анимации
+        this.timeline = new Timeline();
+        
+        // Подписчики на кадры цикла анимации
+        this.frameListeners = new Set();
+        
+        // Ограничения качества (см. QualityManager)
+        this.quality = {
+            resolutionScale: 1,
+            maxPixelRatio: Infinity,
+            maxPasses: Infinity,
+            particleLimit: Infinity
+        };
         this.isAnimating = false;
         
         // Ресурсы
@@ -63,38 +454,101 @@ export default class ShaderEffects {
                 throw new Error('WebGL не поддерживается');
             }
             
-            // Инициализируем контекст для частиц
-            this.particleGl = this.particleCanvas.getContext('2d');
-            if (!this.particleGl) {
-                throw new Error('Canvas 2D не поддерживается');
-            }
+            // Инициализируем частицы
+            this.particleSystem.init();
+            
+            this.compiler = new ShaderCompiler(this.gl, { timeout: this.compileTimeout });
+            this.watchContext();
             
             // Настраиваем размеры канвасов
             this.resizeCanvases();
             window.addEventListener('resize', () => this.resizeCanvases());
             
-            // Компилируем шейдеры
-            await this.compileShaders();
-            
-            // Инициализируем буферы
-            this.initBuffers();
+            // Компилируем шейдеры (с откатом на упрощённый шейдер)
+            await this.buildPipeline();
             
             // Загружаем текстуры (если нужны)
             await this.loadTextures();
             
-            // Настраиваем WebGL
-            this.setupGL();
-            
             console.log('✅ Шейдерные эффекты инициализированы');
             
         } catch (error) {
+            // Контекст пропал во время загрузки — пайплайн соберётся при восстановлении
+            if (this.contextLost) return;
+            
             console.warn('❌ Не удалось инициализировать шейдерные эффекты:', error);
-            this.settings.enabled = false;
+            this.fallbackTo('css', error);
+        }
+    }
+    
+    // Сборка пайплайна: полный, при ошибке или таймауте — упрощённый шейдер.
+    // Если не собирается и он, ошибка уходит выше (→ CSS)
+    async buildPipeline() {
+        const generation = this.contextGeneration;
+        
+        try {
+            await this.compileShaders();
+            if (generation !== this.contextGeneration) return;
+            this.setRenderMode('full');
+        } catch (error) {
+            // Ошибка из-за потери контекста — не повод упрощать рендер
+            if (generation !== this.contextGeneration) return;
             
-            // Скрываем канвасы если WebGL не работает
-            if (this.canvas) this.canvas.style.display = 'none';
-            if (this.particleCanvas) this.particleCanvas.style.display = 'none';
+            console.warn('⚠️ Полный пайплайн не собран, переходим на упрощённый шейдер:', error);
+            await this.compileSimpleShader();
+            this.setRenderMode('simple', error);
+        }
+    }
+    
+    // Шаг вниз по цепочке RENDER_MODES: QualityManager, когда не хватает и минимального качества
+    async degrade(reason) {
+        const next = RENDER_MODES[RENDER_MODES.indexOf(this.renderMode) + 1];
+        if (!next) return;
+        
+        const error = reason instanceof Error ? reason : new Error(reason || 'Понижение режима');
+        
+        if (next === 'simple') {
+            try {
+                await this.compileSimpleShader();
+                this.setRenderMode('simple', error);
+            } catch (compileError) {
+                this.fallbackTo('css', compileError);
+            }
+        } else {
+            this.fallbackTo(next, error);
+        }
+    }
+    
+    // Переход в режим без WebGL (css или static)
+    fallbackTo(mode, error) {
+        this.stop();
+        this.settings.enabled = false;
+        this.disposePipeline();
+        
+        // Скрываем канвасы если WebGL не работает
+        if (this.canvas) this.canvas.style.display = 'none';
+        if (this.particleCanvas) this.particleCanvas.style.display = 'none';
+        
+        this.setRenderMode(mode, error);
+    }
+    
+    // Смена режима с уведомлением приложения
+    setRenderMode(mode, error = null) {
+        const previous = this.renderMode;
+        if (previous === mode) return;
+        
+        this.renderMode = mode;
+        if (previous) {
+            console.log(`🌀 Режим рендера: ${previous} → ${mode}`);
         }
+        
+        this.fallbackListeners.forEach(listener => listener(mode, previous, error));
+    }
+    
+    // Подписка на смену режима рендера: (mode, previous, error) => void
+    onFallback(listener) {
+        this.fallbackListeners.add(listener);
+        return () => this.fallbackListeners.delete(listener);
     }
     
     // Изменение размера канвасов
@@ -102,15 +556,18 @@ export default class ShaderEffects {
         const width = window.innerWidth;
         const height = window.innerHeight;
         
-        // Основной канвас для шейдеров
+        // Основной канвас для шейдеров (разрешение зависит от уровня качества)
         if (this.canvas) {
-            this.canvas.width = width * window.devicePixelRatio;
-            this.canvas.height = height * window.devicePixelRatio;
+            const pixelRatio = Math.min(window.devicePixelRatio || 1, this.quality.maxPixelRatio) *
+                               this.quality.resolutionScale;
+            
+            this.canvas.width = Math.max(1, Math.floor(width * pixelRatio));
+            this.canvas.height = Math.max(1, Math.floor(height * pixelRatio));
             this.canvas.style.width = `${width}px`;
             this.canvas.style.height = `${height}px`;
             
-            if (this.gl) {
-                this.gl.viewport(0, 0, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+            if (this.pipeline) {
+                this.pipeline.resize(this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
             }
         }
         
@@ -120,187 +577,310 @@ export default class ShaderEffects {
             this.particleCanvas.height = height;
             this.particleCanvas.style.width = `${width}px`;
             this.particleCanvas.style.height = `${height}px`;
+            
+            this.particleSystem.resize(width, height);
         }
     }
     
-    // Компиляция шейдеров
+    // Компиляция шейдеров (полный пайплайн)
     async compileShaders() {
         if (!this.gl) return;
         
-        // Вершинный шейдер (простой, рисует полноэкранный квадрат)
-        const vertexShaderSource = `
-            attribute vec2 a_position;
-            varying vec2 v_texCoord;
-            
-            void main() {
-                v_texCoord = a_position * 0.5 + 0.5;
-                gl_Position = vec4(a_position, 0.0, 1.0);
-            }
-        `;
+        this.disposePipeline();
+        const pipeline = new RenderPipeline(this.gl);
+        pipeline.init();
+        this.pipeline = pipeline;
         
-        // Фрагментный шейдер с психоделическими эффектами
-        const fragmentShaderSource = `
-            precision mediump float;
-            
-            varying vec2 v_texCoord;
-            uniform float u_time;
-            uniform float u_aberration;
-            uniform float u_flicker;
-            uniform float u_intensity;
-            uniform vec2 u_mouse;
-            uniform float u_distortion;
-            
-            // Функция шума для психоделических эффектов
-            float random(vec2 st) {
-                return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123);
-            }
-            
-            // Функция для создания мерцания
-            float flicker(float time, vec2 coord) {
-                return 0.9 + 0.1 * sin(time * 10.0 + coord.x * 50.0) * 
-                                cos(time * 7.0 + coord.y * 30.0);
-            }
-            
-            // Хроматическая аберрация
-            vec3 chromaticAberration(vec2 coord, float amount) {
-                float r = texture2D(u_texture, coord + vec2(amount * 0.01, 0.0)).r;
-                float g = texture2D(u_texture, coord).g;
-                float b = texture2D(u_texture, coord - vec2(amount * 0.01, 0.0)).b;
-                return vec3(r, g, b);
-            }
+        const total = 1 + this.effects.size;
+        let done = 0;
+        this.reportProgress('shaders', done, total);
+        
+        // Сцена рисуется во внеэкранную текстуру. Ошибка сцены — ошибка пайплайна
+        const scene = await this.compilePass(this.scene);
+        if (this.pipeline !== pipeline) return;
+        pipeline.addPass(scene.descriptor, scene.program);
+        this.reportProgress('shaders', ++done, total);
+        
+        // Эффекты из реестра собираются параллельно; сломанный эффект просто выключается
+        await Promise.all([...this.effects.values()].map(effect =>
+            this.compileEffect(effect).then(() => this.reportProgress('shaders', ++done, total))
+        ));
+        this.syncPassOrder();
+        
+        this.resizeCanvases();
+    }
+    
+    // Упрощённый шейдер без пост-проходов
+    async compileSimpleShader() {
+        this.disposePipeline();
+        this.pipeline = new RenderPipeline(this.gl);
+        this.pipeline.init();
+        
+        const scene = await this.compilePass({ name: 'scene', source: true, params: {}, ...SIMPLE_SCENE });
+        this.pipeline.addPass(scene.descriptor, scene.program);
+        this.pipeline.setOrder([]);
+        this.reportProgress('shaders', 1, 1);
+        
+        this.resizeCanvases();
+    }
+    
+    // Компиляция прохода: описание + программа
+    async compilePass(effect) {
+        const descriptor = this.createPassDescriptor(effect);
+        const program = await this.compiler.compileProgram(
+            FULLSCREEN_VERTEX,
+            PASS_HEADER + effect.glsl,
+            effect.name
+        );
+        
+        return { descriptor, program };
+    }
+    
+    // Освобождение пайплайна
+    disposePipeline() {
+        if (this.pipeline) {
+            this.pipeline.dispose();
+            this.pipeline = null;
+        }
+    }
+    
+    // Регистрация эффекта
+    // definition: { glsl, uniforms: { u_name: значение | (frame, params) => значение },
+    //               defaults: { name: значение }, enabled, index }
+    // После инициализации эффект компилируется асинхронно, готовность — effect.ready
+    registerEffect(name, definition = {}) {
+        if (!name || !definition.glsl) {
+            throw new Error('Эффект должен иметь имя и glsl');
+        }
+        
+        const effect = {
+            name,
+            glsl: definition.glsl,
+            uniforms: definition.uniforms || {},
+            defaults: { ...definition.defaults },
+            params: { ...definition.defaults },
+            enabled: definition.enabled !== false,
+            ready: Promise.resolve()
+        };
+        
+        this.effects.set(name, effect);
+        
+        if (!this.passOrder.includes(name)) {
+            const index = definition.index !== undefined ? definition.index : this.passOrder.length;
+            this.passOrder.splice(index, 0, name);
+        }
+        
+        // После инициализации компилируем сразу (в упрощённом режиме эффектов нет)
+        if (this.pipeline && this.renderMode === 'full') {
+            effect.ready = this.compileEffect(effect);
+        }
+        
+        return effect;
+    }
+    
+    // Удаление эффекта из реестра
+    unregisterEffect(name) {
+        this.effects.delete(name);
+        this.passOrder = this.passOrder.filter(passName => passName !== name);
+        
+        if (this.pipeline) {
+            this.pipeline.removePass(name);
+        }
+    }
+    
+    // Включение/выключение эффекта во время работы
+    toggleEffect(name, enabled) {
+        const effect = this.effects.get(name);
+        if (!effect) {
+            console.warn(`Эффект "${name}" не зарегистрирован`);
+            return false;
+        }
+        
+        effect.enabled = enabled !== undefined ? Boolean(enabled) : !effect.enabled;
+        this.syncPassOrder();
+        
+        return effect.enabled;
+    }
+    
+    enableEffect(name) {
+        return this.toggleEffect(name, true);
+    }
+    
+    disableEffect(name) {
+        return this.toggleEffect(name, false);
+    }
+    
+    isEffectEnabled(name) {
+        const effect = this.effects.get(name);
+        return Boolean(effect && effect.enabled);
+    }
+    
+    // Изменение параметров эффекта
+    setEffectParams(name, params) {
+        const effect = this.effects.get(name);
+        if (!effect) {
+            console.warn(`Эффект "${name}" не зарегистрирован`);
+            return;
+        }
+        
+        Object.assign(effect.params, params);
+    }
+    
+    // Изменение порядка эффектов (не перечисленные остаются в конце)
+    setPassOrder(order) {
+        const known = order.filter(name => this.effects.has(name));
+        const rest = this.passOrder.filter(name => !known.includes(name));
+        
+        this.passOrder = [...known, ...rest];
+        this.syncPassOrder();
+    }
+    
+    // Передача порядка включённых эффектов в пайплайн
+    syncPassOrder() {
+        if (!this.pipeline) return;
+        
+        // Уровень качества ограничивает число проходов
+        const order = this.passOrder
+            .filter(name => name !== 'dissolve' && this.isEffectEnabled(name))
+            .slice(0, this.quality.maxPasses);
+        
+        // Растворение переходов — вне лимита и всегда последним: оно нужно и слабым устройствам
+        if (this.isEffectEnabled('dissolve')) order.push('dissolve');
+        
+        this.pipeline.setOrder(order);
+    }
+    
+    // Компиляция эффекта в проход пайплайна
+    async compileEffect(effect) {
+        const pipeline = this.pipeline;
+        
+        try {
+            const { descriptor, program } = await this.compilePass(effect);
             
-            // Психоделический цветовой сдвиг
-            vec3 psychedelicColor(float time, vec2 coord) {
-                vec3 color;
-                color.r = 0.5 + 0.5 * sin(time * 0.5 + coord.x * 3.0);
-                color.g = 0.5 + 0.5 * sin(time * 0.7 + coord.y * 3.0 + 1.0);
-                color.b = 0.5 + 0.5 * sin(time * 0.9 + (coord.x + coord.y) * 3.0 + 2.0);
-                return color;
+            // Пайплайн мог смениться, пока шла компиляция
+            if (this.pipeline !== pipeline) {
+                this.gl.deleteProgram(program);
+                return;
             }
             
-            // Волновой эффект
-            vec2 waveDistortion(vec2 coord, float time) {
-                float wave = sin(coord.y * 10.0 + time * 2.0) * 0.01;
-                return coord + vec2(wave, 0.0);
-            }
+            pipeline.addPass(descriptor, program);
+            this.syncPassOrder();
+        } catch (error) {
+            // На потерянном контексте падает любая компиляция; эффект соберётся заново
+            if (this.pipeline !== pipeline) return;
             
-            // Эффект виньетирования
-            float vignette(vec2 coord) {
-                vec2 uv = coord * 2.0 - 1.0;
-                float dist = length(uv);
-                return 1.0 - smoothstep(0.7, 1.4, dist);
-            }
+            console.warn(`Эффект "${effect.name}" не скомпилирован:`, error);
+            effect.enabled = false;
+        }
+    }
+    
+    // Описание прохода: location и типы uniform собираются из объявлений в glsl
+    createPassDescriptor(effect) {
+        const uniforms = {};
+        
+        parseUniforms(effect.glsl).forEach(({ name, type }) => {
+            const source = effect.uniforms[name];
+            const param = name.replace(/^u_/, '');
             
-            void main() {
-                // Искажение координат
-                vec2 distortedCoord = v_texCoord;
-                
-                // Добавляем волновой эффект если есть distortion
-                if (u_distortion > 0.0) {
-                    distortedCoord = waveDistortion(distortedCoord, u_time);
-                }
-                
-                // Психоделический цвет
-                vec3 psychedelic = psychedelicColor(u_time, distortedCoord);
-                
-                // Хроматическая аберрация
-                vec3 aberration = chromaticAberration(distortedCoord, u_aberration);
-                
-                // Мерцание
-                float flickerValue = flicker(u_time, distortedCoord) * u_flicker;
-                
-                // Виньетирование
-                float vignetteValue = vignette(distortedCoord);
-                
-                // Смешиваем эффекты
-                vec3 finalColor = mix(aberration, psychedelic, u_intensity * 0.3);
-                finalColor *= flickerValue * vignetteValue;
-                
-                // Добавляем влияние мыши
-                float mouseDist = distance(v_texCoord, u_mouse);
-                float mouseEffect = smoothstep(0.3, 0.0, mouseDist);
-                finalColor += mouseEffect * 0.3 * psychedelic;
-                
-                // Добавляем случайный шум
-                float noise = random(v_texCoord + u_time * 0.1) * 0.05;
-                finalColor += noise;
-                
-                gl_FragColor = vec4(finalColor, 1.0);
+            if (typeof source === 'function') {
+                uniforms[name] = { type, value: (frame) => source(frame, effect.params) };
+            } else if (source !== undefined) {
+                uniforms[name] = { type, value: source };
+            } else if (param in effect.params) {
+                uniforms[name] = { type, value: () => effect.params[param] };
+            } else if (AUDIO_UNIFORMS[name]) {
+                uniforms[name] = { type, value: AUDIO_UNIFORMS[name] };
             }
-        `;
-        
-        // Создаем и компилируем шейдеры
-        const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
-        const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
-        
-        // Создаем программу
-        this.program = this.createProgram(vertexShader, fragmentShader);
-        
-        // Получаем location uniform-переменных
-        this.uniforms = {
-            time: this.gl.getUniformLocation(this.program, 'u_time'),
-            aberration: this.gl.getUniformLocation(this.program, 'u_aberration'),
-            flicker: this.gl.getUniformLocation(this.program, 'u_flicker'),
-            intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-            mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-            distortion: this.gl.getUniformLocation(this.program, 'u_distortion')
-        };
+        });
         
-        // Получаем location атрибутов
-        this.attributes = {
-            position: this.gl.getAttribLocation(this.program, 'a_position')
+        return {
+            name: effect.name,
+            source: effect.source,
+            fragment: effect.glsl,
+            uniforms
         };
     }
     
-    // Создание шейдера
-    createShader(type, source) {
-        const shader = this.gl.createShader(type);
-        this.gl.shaderSource(shader, source);
-        this.gl.compileShader(shader);
-        
-        // Проверяем ошибки компиляции
-        if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-            console.error('Ошибка компиляции шейдера:', this.gl.getShaderInfoLog(shader));
-            this.gl.deleteShader(shader);
-            return null;
-        }
+    // Слежение за потерей и восстановлением WebGL-контекста
+    watchContext() {
+        this.contextHandlers = {
+            lost: (event) => this.handleContextLost(event),
+            restored: () => this.handleContextRestored()
+        };
         
-        return shader;
+        this.canvas.addEventListener('webglcontextlost', this.contextHandlers.lost);
+        this.canvas.addEventListener('webglcontextrestored', this.contextHandlers.restored);
     }
     
-    // Создание программы
-    createProgram(vertexShader, fragmentShader) {
-        const program = this.gl.createProgram();
-        this.gl.attachShader(program, vertexShader);
-        this.gl.attachShader(program, fragmentShader);
-        this.gl.linkProgram(program);
+    // Контекст потерян: все программы, буферы и текстуры недействительны
+    handleContextLost(event) {
+        // Без preventDefault браузер не вернёт контекст
+        event.preventDefault();
         
-        // Проверяем ошибки линковки
-        if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-            console.error('Ошибка линковки программы:', this.gl.getProgramInfoLog(program));
-            this.gl.deleteProgram(program);
-            return null;
-        }
+        this.contextLost = true;
+        this.contextLosses++;
+        this.contextGeneration++;
         
-        return program;
+        const wasAnimating = this.isAnimating || this.resumeOnRestore;
+        this.stop();
+        this.resumeOnRestore = wasAnimating;
+        
+        // Удалять объекты мёртвого контекста бессмысленно — просто забываем их
+        this.pipeline = null;
+        this.textures.forEach((texture, url) => this.textures.set(url, null));
+        
+        console.warn(`⚠️ WebGL-контекст потерян (${this.contextLosses})`);
     }
     
-    // Инициализация буферов
-    initBuffers() {
-        if (!this.gl || !this.program) return;
+    // Контекст восстановлен: собираем всё заново из реестра эффектов.
+    // Параметры, твины, волны и частицы живут в JS и не теряются
+    async handleContextRestored() {
+        this.contextLost = false;
+        const generation = this.contextGeneration;
+        
+        if (this.contextLosses > MAX_CONTEXT_LOSSES) {
+            this.fallbackTo('css', new Error('WebGL-контекст теряется слишком часто'));
+            return;
+        }
+        
+        try {
+            this.compiler = new ShaderCompiler(this.gl, { timeout: this.compileTimeout });
+            
+            // Упрощённый режим остаётся упрощённым
+            if (this.renderMode === 'simple') {
+                await this.compileSimpleShader();
+            } else {
+                await this.buildPipeline();
+            }
+            
+            await this.reloadTextures();
+        } catch (error) {
+            if (generation !== this.contextGeneration) return;
+            console.warn('❌ Не удалось восстановить WebGL-контекст:', error);
+            this.fallbackTo('css', error);
+            return;
+        }
+        
+        // Контекст мог снова пропасть, пока шла сборка
+        if (generation !== this.contextGeneration || !this.pipeline) return;
         
-        // Вершины для полноэкранного квадрата
-        const vertices = new Float32Array([
-            -1.0, -1.0,
-             1.0, -1.0,
-            -1.0,  1.0,
-             1.0,  1.0
-        ]);
+        console.log('✅ WebGL-контекст восстановлен');
         
-        // Создаем буфер
-        this.vertexBuffer = this.gl.createBuffer();
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
+        if (this.resumeOnRestore) {
+            this.resumeOnRestore = false;
+            this.start();
+        }
+    }
+    
+    // Повторная загрузка уже загруженных текстур
+    async reloadTextures() {
+        for (const url of this.textures.keys()) {
+            try {
+                this.textures.set(url, await this.loadTexture(url));
+            } catch (error) {
+                console.warn(`Не удалось загрузить текстуру ${url}:`, error);
+            }
+        }
     }
     
     // Загрузка текстур
@@ -311,6 +891,9 @@ export default class ShaderEffects {
             // 'assets/textures/noise.png'
         ];
         
+        let done = 0;
+        this.reportProgress('textures', done, textureUrls.length);
+        
         for (const url of textureUrls) {
             try {
                 const texture = await this.loadTexture(url);
@@ -318,9 +901,20 @@ export default class ShaderEffects {
             } catch (error) {
                 console.warn(`Не удалось загрузить текстуру ${url}:`, error);
             }
+            this.reportProgress('textures', ++done, textureUrls.length);
         }
     }
     
+    // Подписка на прогресс загрузки; возвращает функцию отписки
+    onProgress(listener) {
+        this.progressListeners.add(listener);
+        return () => this.progressListeners.delete(listener);
+    }
+    
+    reportProgress(stage, done, total) {
+        this.progressListeners.forEach(listener => listener(stage, done, total));
+    }
+    
     // Загрузка текстуры из URL
     loadTexture(url) {
         return new Promise((resolve, reject) => {
@@ -346,26 +940,16 @@ export default class ShaderEffects {
         });
     }
     
-    // Настройка WebGL
-    setupGL() {
-        if (!this.gl || !this.program) return;
-        
-        this.gl.useProgram(this.program);
-        
-        // Включаем атрибут позиции
-        this.gl.enableVertexAttribArray(this.attributes.position);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-        this.gl.vertexAttribPointer(this.attributes.position, 2, this.gl.FLOAT, false, 0, 0);
-        
-        // Прозрачность
-        this.gl.enable(this.gl.BLEND);
-        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
-    }
-    
     // Запуск анимации
     start() {
         if (!this.settings.enabled || this.isAnimating) return;
         
+        // Без контекста запустимся после восстановления
+        if (this.contextLost) {
+            this.resumeOnRestore = true;
+            return;
+        }
+        
         this.isAnimating = true;
         this.lastTime = performance.now();
         
@@ -378,17 +962,37 @@ export default class ShaderEffects {
             const deltaTime = (currentTime - this.lastTime) / 1000;
             this.lastTime = currentTime;
             this.time += deltaTime;
+            this.timeline.update(this.time);
             
             // Рендерим кадр
-            this.render();
+            this.render(deltaTime);
+            
+            this.frameListeners.forEach(listener => listener(deltaTime, this.time));
         };
         
         animate(this.lastTime);
     }
     
+    // Подписка на кадры: (deltaTime, time) => void. Возвращает отписку
+    onFrame(listener) {
+        this.frameListeners.add(listener);
+        return () => this.frameListeners.delete(listener);
+    }
+    
+    // Применение уровня качества
+    // quality: { resolutionScale, maxPixelRatio, maxPasses, particleLimit }
+    setQuality(quality) {
+        this.quality = { ...this.quality, ...quality };
+        
+        this.particleSystem.limit = this.quality.particleLimit;
+        this.syncPassOrder();
+        this.resizeCanvases();
+    }
+    
     // Остановка анимации
     stop() {
         this.isAnimating = false;
+        this.resumeOnRestore = false;
         if (this.rafId) {
             cancelAnimationFrame(this.rafId);
             this.rafId = null;
@@ -396,147 +1000,191 @@ export default class ShaderEffects {
     }
     
     // Рендер кадра
-    render() {
-        if (!this.gl || !this.program) return;
+    render(deltaTime) {
+        if (!this.gl || !this.pipeline) return;
         
-        // Очищаем канвас
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+        this.updateDistortions();
         
-        // Устанавливаем uniform-переменные
-        this.gl.uniform1f(this.uniforms.time, this.time);
-        this.gl.uniform1f(this.uniforms.aberration, this.settings.aberration);
-        this.gl.uniform1f(this.uniforms.flicker, this.settings.flicker);
-        this.gl.uniform1f(this.uniforms.intensity, this.settings.intensity);
-        this.gl.uniform2f(this.uniforms.mouse, 0.5, 0.5); // Центр экрана по умолчанию
-        this.gl.uniform1f(this.uniforms.distortion, 0.0);
-        
-        // Рисуем
-        this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+        this.pipeline.render({
+            time: this.time,
+            settings: this.getFrameSettings(),
+            mouse: this.mouse,
+            audio: this.audio,
+            distortions: this.distortionUniforms
+        });
         
         // Также рендерим частицы на 2D канвасе
-        this.renderParticles();
+        this.renderParticles(deltaTime);
     }
     
-    // Рендер частиц на 2D канвасе
-    renderParticles() {
-        if (!this.particleGl || !this.settings.enabled) return;
+    // Настройки кадра: база + слои твинов в допустимых пределах
+    getFrameSettings() {
+        const settings = this.timeline.apply(this.settings);
         
-        // Очищаем с прозрачностью для эффекта шлейфа
-        this.particleGl.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        this.particleGl.fillRect(0, 0, this.particleCanvas.width, this.particleCanvas.height);
+        // Звук добавляется поверх настроек и твинов
+        const { audio, audioReactivity: reactivity } = this;
+        if (typeof settings.flicker === 'number') {
+            settings.flicker += reactivity.flicker * Math.max(audio.pulse, audio.high);
+        }
+        if (typeof settings.aberration === 'number') {
+            settings.aberration += reactivity.aberration * audio.low;
+        }
+        if (typeof settings.intensity === 'number') {
+            settings.intensity += reactivity.intensity * Math.min(1, audio.rms * 4);
+        }
         
-        // Обновляем и рисуем частицы
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            
-            // Обновляем позицию
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.life -= 0.01;
-            
-            // Уменьшаем размер со временем
-            particle.size *= 0.99;
-            
-            // Удаляем "мёртвые" частицы
-            if (particle.life <= 0 || particle.size < 0.1) {
-                this.particles.splice(i, 1);
-                continue;
+        Object.entries(PARAM_LIMITS).forEach(([key, [min, max]]) => {
+            if (typeof settings[key] === 'number') {
+                settings[key] = Math.max(min, Math.min(max, settings[key]));
             }
-            
-            // Рисуем частицу
-            this.particleGl.beginPath();
-            this.particleGl.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-            
-            // Цвет с прозрачностью
-            const alpha = particle.life * 0.7;
-            this.particleGl.fillStyle = `rgba(${Math.floor(particle.color[0] * 255)}, 
-                                            ${Math.floor(particle.color[1] * 255)}, 
-                                            ${Math.floor(particle.color[2] * 255)}, 
-                                            ${alpha})`;
-            
-            this.particleGl.fill();
-        }
+        });
+        
+        return settings;
+    }
+    
+    // Шаг симуляции и рендер частиц (dt в секундах)
+    renderParticles(deltaTime) {
+        if (!this.settings.enabled) return;
+        
+        this.particleSystem.render(deltaTime);
     }
     
     // Добавление частицы
+    // x, y — доли канваса, vx, vy — пиксели за кадр при 60 Гц
     addParticle(particleData) {
-        if (!this.settings.enabled || this.particles.length > 1000) return;
+        if (!this.settings.enabled) return false;
         
-        const particle = {
+        return this.particleSystem.add({
             x: (particleData.x || 0.5) * this.particleCanvas.width,
             y: (particleData.y || 0.5) * this.particleCanvas.height,
-            vx: particleData.vx || 0,
-            vy: particleData.vy || 0,
+            vx: (particleData.vx || 0) * REFERENCE_FPS,
+            vy: (particleData.vy || 0) * REFERENCE_FPS,
             size: particleData.size || 5,
             color: particleData.color || [1, 1, 1],
-            life: particleData.life || 1.0
-        };
-        
-        this.particles.push(particle);
+            life: particleData.life || 1.0,
+            lifetime: particleData.lifetime
+        });
     }
     
-    // Запуск частиц
+    // Запуск частиц: фоновый эмиттер, если сцена не объявила свой
     startParticles() {
         if (!this.settings.enabled) return;
         
-        // Создаём фоновые частицы
-        const createBackgroundParticles = () => {
-            if (this.particles.length < 100 * this.settings.particleDensity) {
-                this.addParticle({
-                    x: Math.random(),
-                    y: Math.random(),
-                    vx: (Math.random() - 0.5) * 0.5,
-                    vy: (Math.random() - 0.5) * 0.5,
-                    size: Math.random() * 3 + 1,
-                    color: [
-                        Math.random() * 0.5 + 0.5,
-                        Math.random(),
-                        Math.random() * 0.5 + 0.5
-                    ],
-                    life: Math.random() * 0.5 + 0.5
-                });
-            }
+        if (!this.particleSystem.hasEmitter('background')) {
+            this.particleSystem.setEmitter('background', BACKGROUND_EMITTER);
+        }
+    }
+    
+    // Декларативная настройка частиц (см. ParticleSystem.configure)
+    configureParticles(preset) {
+        this.particleSystem.configure(preset);
+    }
+    
+    // Смена сцены без пересоздания контекста (переход роутера на другую страницу).
+    // preset: { settings, passes, particles, effects: { имя: параметры } } — как options конструктора;
+    // не указанное в пресете возвращается к значениям по умолчанию
+    applyPreset(preset = {}) {
+        const passes = preset.passes || DEFAULT_PASS_ORDER;
+        
+        Object.keys(BUILTIN_EFFECTS).forEach(name => {
+            const effect = this.effects.get(name);
+            if (!effect) return;
             
-            if (this.isAnimating) {
-                setTimeout(createBackgroundParticles, 100);
-            }
+            effect.params = { ...effect.defaults, ...(preset.effects && preset.effects[name]) };
+            effect.enabled = passes.includes(name);
+        });
+        this.setPassOrder(passes);
+        
+        this.updateSettings({ ...SCENE_SETTINGS, ...preset.settings });
+        this.configureParticles(preset.particles || {});
+        this.startParticles();
+    }
+    
+    // Добавление волны искажения
+    // distortionData: { x, y (0..1, y сверху вниз), radius, intensity, duration (мс), decay }
+    addDistortion(distortionData = {}) {
+        if (!this.settings.enabled) return;
+        
+        const distortion = {
+            x: distortionData.x !== undefined ? distortionData.x : 0.5,
+            y: distortionData.y !== undefined ? distortionData.y : 0.5,
+            radius: distortionData.radius || 0.25,
+            strength: distortionData.intensity !== undefined ? distortionData.intensity : 0.5,
+            start: this.time,
+            duration: (distortionData.duration || 800) / 1000,
+            decay: DECAY_CURVES[distortionData.decay] || DECAY_CURVES.exponential
         };
         
-        createBackgroundParticles();
+        // Стек заполнен — вытесняем самую слабую волну
+        if (this.distortions.length >= MAX_DISTORTIONS) {
+            let weakest = 0;
+            this.distortions.forEach((item, index) => {
+                if (this.getDistortionStrength(item) < this.getDistortionStrength(this.distortions[weakest])) {
+                    weakest = index;
+                }
+            });
+            this.distortions.splice(weakest, 1);
+        }
+        
+        this.distortions.push(distortion);
+    }
+    
+    // Текущая сила волны с учётом затухания
+    getDistortionStrength(distortion) {
+        const progress = (this.time - distortion.start) / distortion.duration;
+        if (progress >= 1) return 0;
+        
+        return distortion.strength * distortion.decay(Math.max(0, progress));
     }
     
-    // Добавление искажения
-    addDistortion(distortionData) {
-        if (!this.settings.enabled || !this.uniforms.distortion) return;
+    // Удаление затухших волн и упаковка стека в uniform-массивы
+    updateDistortions() {
+        const { ripples, ages } = this.distortionUniforms;
         
-        // Временно увеличиваем distortion
-        this.gl.uniform1f(this.uniforms.distortion, distortionData.intensity || 0.5);
+        this.distortions = this.distortions.filter(
+            distortion => this.time - distortion.start < distortion.duration
+        );
         
-        // Возвращаем к нормальному состоянию через время
-        setTimeout(() => {
-            if (this.uniforms.distortion) {
-                this.gl.uniform1f(this.uniforms.distortion, 0.0);
-            }
-        }, distortionData.duration || 500);
+        this.distortions.forEach((distortion, index) => {
+            ripples[index * 4] = distortion.x;
+            ripples[index * 4 + 1] = 1.0 - distortion.y; // Инвертируем Y для WebGL
+            ripples[index * 4 + 2] = distortion.radius;
+            ripples[index * 4 + 3] = this.getDistortionStrength(distortion);
+            ages[index] = this.time - distortion.start;
+        });
+        
+        this.distortionUniforms.count = this.distortions.length;
     }
     
-    // Триггер глитч-эффекта
-    addGlitch(glitchData) {
+    // Триггер глитч-эффекта: glitchData { amount, duration (мс) }
+    // Эффект накладывается слоем поверх базовых настроек, поэтому
+    // перекрывающиеся глитчи складываются и не портят исходные значения
+    addGlitch(glitchData = {}) {
         if (!this.settings.enabled) return;
         
-        // Сохраняем текущие настройки
-        const originalAberration = this.settings.aberration;
-        const originalFlicker = this.settings.flicker;
+        const duration = (glitchData.duration || 200) / 1000;
+        const amount = glitchData.amount || 0.2;
         
-        // Увеличиваем эффекты для глитча
-        this.settings.aberration = Math.min(1.0, originalAberration + (glitchData.amount || 0.2));
-        this.settings.flicker = Math.min(1.0, originalFlicker + 0.3);
+        // Резкий скачок, удержание и спад
+        const spike = (value) => [
+            { at: 0, value },
+            { at: 0.7, value },
+            { at: 1, value: 0, easing: 'easeOutQuad' }
+        ];
         
-        // Возвращаем настройки обратно
-        setTimeout(() => {
-            this.settings.aberration = originalAberration;
-            this.settings.flicker = originalFlicker;
-        }, glitchData.duration || 200);
+        this.timeline.tween({
+            target: 'aberration',
+            keyframes: spike(amount),
+            duration,
+            tag: 'glitch'
+        });
+        
+        this.timeline.tween({
+            target: 'flicker',
+            keyframes: spike(0.3),
+            duration,
+            tag: 'glitch'
+        });
     }
     
     // Триггер всплеска
@@ -544,8 +1192,6 @@ export default class ShaderEffects {
         if (!this.settings.enabled) return;
         
         const count = Math.floor(50 * this.settings.particleDensity);
-        const centerX = (burstData.x || 0.5) * this.particleCanvas.width;
-        const centerY = (burstData.y || 0.5) * this.particleCanvas.height;
         
         // Создаём частицы всплеска
         for (let i = 0; i < count; i++) {
@@ -567,23 +1213,38 @@ export default class ShaderEffects {
             });
         }
         
-        // Добавляем искажение
+        // Добавляем искажение в точке всплеска
         this.addDistortion({
+            x: burstData.x || 0.5,
+            y: burstData.y || 0.5,
+            radius: burstData.radius || 0.4,
             intensity: 0.8,
-            duration: 300
+            duration: 600
         });
     }
     
     // Триггер перехода между страницами
     triggerTransition(callback) {
-        if (!this.settings.enabled) {
+        // Без цикла анимации часы таймлайна стоят — переходим по таймеру
+        if (!this.settings.enabled || !this.isAnimating) {
             if (callback) setTimeout(callback, 500);
             return;
         }
         
+        // Повторный переход отменяет предыдущий
+        this.timeline.cancelTag('transition');
+        
         // Увеличиваем интенсивность эффектов
-        const originalIntensity = this.settings.intensity;
-        this.settings.intensity = 2.0;
+        this.timeline.tween({
+            target: 'intensity',
+            keyframes: [
+                { at: 0, value: 0 },
+                { at: 0.2, value: 1.0, easing: 'easeOutQuad' },
+                { at: 1, value: 1.0 }
+            ],
+            duration: 1,
+            tag: 'transition'
+        });
         
         // Создаём максимальный глитч
         this.addGlitch({
@@ -593,7 +1254,7 @@ export default class ShaderEffects {
         
         // Заполняем экран частицами
         for (let i = 0; i < 200; i++) {
-            setTimeout(() => {
+            this.timeline.call(i * 0.01, () => {
                 this.triggerBurst({
                     x: Math.random(),
                     y: Math.random(),
@@ -603,14 +1264,71 @@ export default class ShaderEffects {
                         Math.random()
                     ]
                 });
-            }, i * 10);
+            }, 'transition');
         }
         
-        // Возвращаем настройки и вызываем колбэк
-        setTimeout(() => {
-            this.settings.intensity = originalIntensity;
+        // Вызываем колбэк по окончании
+        this.timeline.call(1, () => {
             if (callback) callback();
-        }, 1000);
+        }, 'transition');
+    }
+    
+    // Растворение сцены полосой сверху вниз: 'out' — сцена гаснет и остаётся тёмной,
+    // 'in' — проявляется обратно. Промис выполняется по окончании (или сразу без анимации)
+    dissolve(direction, duration = 0.7) {
+        // Прерванное растворение больше не закончится само
+        if (this.finishDissolve) this.finishDissolve();
+        
+        const target = direction === 'out' ? 1 : 0;
+        
+        if (!this.settings.enabled || !this.isAnimating || !this.effects.has('dissolve')) {
+            this.settings.dissolve = target;
+            return Promise.resolve();
+        }
+        
+        // Твин добавляется к базе: база сразу становится конечной, смещение уходит в ноль
+        const current = this.timeline.apply(this.settings).dissolve;
+        this.timeline.cancelTag('dissolve');
+        this.settings.dissolve = target;
+        this.enableEffect('dissolve');
+        
+        return new Promise(resolve => {
+            this.finishDissolve = () => {
+                this.finishDissolve = null;
+                if (target === 0) this.disableEffect('dissolve');
+                resolve();
+            };
+            
+            this.timeline.tween({
+                target: 'dissolve',
+                from: current - target,
+                to: 0,
+                duration,
+                easing: 'easeInOutQuad',
+                tag: 'dissolve',
+                onComplete: () => {
+                    if (this.finishDissolve) this.finishDissolve();
+                }
+            });
+        });
+    }
+    
+    // Уровни звука текущего кадра (AudioManager.analyse())
+    setAudioLevels(levels) {
+        const reactivity = this.audioReactivity;
+        
+        this.audio.low = levels.low;
+        this.audio.mid = levels.mid;
+        this.audio.high = levels.high;
+        this.audio.rms = levels.rms;
+        this.audio.pulse = levels.pulse;
+        
+        // Реактивные эмиттеры дышат с басом и вспыхивают на атаках
+        this.particleSystem.emissionBoost = 1 + reactivity.particles * (levels.low * 0.5 + levels.pulse);
+        
+        if (levels.onset && this.particleSystem.hasEmitter('background')) {
+            this.particleSystem.emit('background', reactivity.onsetParticles);
+        }
     }
     
     // Обновление настроек
@@ -619,33 +1337,41 @@ export default class ShaderEffects {
         
         // Обновляем плотность частиц
         if (newSettings.particleDensity !== undefined) {
-            // Можно обновить количество частиц
+            this.particleSystem.density = newSettings.particleDensity;
         }
     }
     
     // Обновление позиции мыши
     updateMousePosition(x, y) {
-        if (!this.uniforms.mouse) return;
+        // Координаты в CSS-пикселях, поэтому нормируем по окну, а не по буферу
+        const normalizedX = x / window.innerWidth;
+        const normalizedY = 1.0 - (y / window.innerHeight); // Инвертируем Y для WebGL
         
-        const normalizedX = x / this.canvas.width;
-        const normalizedY = 1.0 - (y / this.canvas.height); // Инвертируем Y для WebGL
+        this.mouse = [normalizedX, normalizedY];
         
-        this.gl.uniform2f(this.uniforms.mouse, normalizedX, normalizedY);
+        // Точка привязки для сил частиц (ось Y канваса направлена вниз)
+        this.particleSystem.setAnchor('mouse', x / window.innerWidth, y / window.innerHeight);
     }
     
     // Очистка ресурсов
     dispose() {
         this.stop();
         
+        if (this.contextHandlers) {
+            this.canvas.removeEventListener('webglcontextlost', this.contextHandlers.lost);
+            this.canvas.removeEventListener('webglcontextrestored', this.contextHandlers.restored);
+            this.contextHandlers = null;
+        }
+        
         // Удаляем WebGL ресурсы
         if (this.gl) {
-            if (this.program) this.gl.deleteProgram(this.program);
-            if (this.vertexBuffer) this.gl.deleteBuffer(this.vertexBuffer);
-            this.textures.forEach(texture => this.gl.deleteTexture(texture));
+            this.disposePipeline();
+            this.textures.forEach(texture => texture && this.gl.deleteTexture(texture));
         }
         
         // Очищаем массивы
-        this.particles = [];
+        this.timeline.clear();
+        this.particleSystem.dispose();
         this.textures.clear();
         
         console.log('🗑️ Шейдерные эффекты очищены');
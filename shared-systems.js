@@ -0,0 +1,112 @@
+// ============================================
+// SHARED SYSTEMS
+// Звук и эффекты переживают переходы роутера: их создаёт первая страница,
+// следующие только настраивают под себя
+// ============================================
+
+import AudioManager from './audio-manager.js';
+import ShaderEffects from './shader-effects.js';
+import QualityManager from './quality-manager.js';
+import { CONFIG } from './config.js';
+
+// Идущая инициализация: страница, открытая до её конца, ждёт ту же, а не начинает заново
+let audioReady = null;
+let effectsReady = null;
+
+// Общий AudioManager (в быстром режиме — без контекста: play() молчит)
+export function sharedAudio() {
+    if (!window.audioManager) {
+        window.audioManager = new AudioManager();
+    }
+    return window.audioManager;
+}
+
+// Контекст и жизненный цикл звука, один раз на все страницы
+export async function initSharedAudio() {
+    const manager = sharedAudio();
+
+    if (!audioReady) {
+        audioReady = manager.init({
+            contextTimeout: CONFIG.timeouts.audioContextTimeout,
+            lazy: CONFIG.performance.lazyAudio
+        });
+    }
+
+    await audioReady;
+    return manager;
+}
+
+// Эффекты с пресетом страницы: { settings, passes, particles, effects: { имя: параметры } }.
+// Первый вызов создаёт их на канвасах, следующие переключают сцену (ShaderEffects.applyPreset).
+// onProgress — прогресс компиляции при создании
+export async function initSharedEffects(preset, { onProgress = null } = {}) {
+    if (!effectsReady) {
+        effectsReady = createEffects(preset, onProgress);
+        return effectsReady;
+    }
+
+    const effects = await effectsReady;
+    effects.applyPreset(preset);
+    return effects;
+}
+
+async function createEffects(preset, onProgress) {
+    const effects = new ShaderEffects({
+        canvas: document.getElementById('shaderCanvas'),
+        particleCanvas: document.getElementById('particleCanvas'),
+        settings: preset.settings,
+        passes: preset.passes,
+        particles: preset.particles,
+        compileTimeout: CONFIG.timeouts.shaderCompilationTimeout
+    });
+    window.shaderEffects = effects;
+
+    // Каждый шаг вниз по цепочке деградации отражается на странице
+    effects.onFallback(applyRenderMode);
+
+    const unsubscribe = onProgress ? effects.onProgress(onProgress) : null;
+    await effects.init();
+    if (unsubscribe) unsubscribe();
+
+    Object.entries(preset.effects || {}).forEach(([name, params]) => {
+        effects.setEffectParams(name, params);
+    });
+
+    // Запускаем эффекты только если инициализация успешна
+    if (effects.settings.enabled) {
+        // Качество подстраивается под реальное время кадра
+        window.qualityManager = new QualityManager();
+        window.qualityManager.attach(effects);
+
+        // Картинка пульсирует со звуком: анализ мастер-шины раз в кадр
+        effects.onFrame(() => {
+            if (window.audioManager) {
+                effects.setAudioLevels(window.audioManager.analyse());
+            }
+        });
+
+        effects.start();
+        effects.startParticles();
+    }
+
+    return effects;
+}
+
+// Применение режима рендера: классы на <html> включают CSS-замену эффектов
+function applyRenderMode(mode, previous, error) {
+    const root = document.documentElement;
+    root.classList.toggle('css-effects', mode === 'css');
+    root.classList.toggle('static-mode', mode === 'static');
+
+    if (previous || mode !== 'full') {
+        console.warn(`🌀 Эффекты: ${previous || 'старт'} → ${mode}`, error ? error.message : '');
+    }
+}
+
+// Эффекты выключены или быстрый режим: канвасы не нужны
+export function hideEffectCanvases() {
+    ['shaderCanvas', 'particleCanvas'].forEach(id => {
+        const canvas = document.getElementById(id);
+        if (canvas) canvas.style.display = 'none';
+    });
+}
@@ -0,0 +1,326 @@
+// ============================================
+// STATE STORAGE
+// Версионированное хранение состояния с миграциями и запасными хранилищами
+// ============================================
+
+export const STORAGE_KEY = 'metamorphoses_state';
+
+// Текущая версия схемы; при изменении формата добавьте миграцию в MIGRATIONS
+export const SCHEMA_VERSION = 3;
+
+// Настройки по умолчанию для всех страниц
+export const DEFAULT_SETTINGS = {
+    audioEnabled: true,
+    effectsEnabled: true,
+    flickerIntensity: 0.3,
+    aberrationAmount: 0.5,
+    particleDensity: 0.7,
+    reduceMotion: false
+};
+
+// Миграции: версия → функция, переводящая состояние в следующую версию.
+// Старый формат без поля version считается версией 1
+export const MIGRATIONS = {
+    // timeSpent прошлых версий нельзя пересчитать — берём как есть; появился счётчик сессий
+    1: (state) => ({
+        progress: {
+            ...state.progress,
+            sessions: state.progress && state.progress.timeSpent > 0 ? 1 : 0
+        },
+        settings: state.settings,
+        lastSaved: state.lastSaved
+    }),
+    // Находки обломков с временем; счётчик fragmentsDiscovered раньше не рос — начинаем с нуля
+    2: (state) => ({
+        ...state,
+        progress: { ...state.progress, fragments: [], fragmentsDiscovered: 0 }
+    })
+};
+
+const isBoolean = (value) => typeof value === 'boolean';
+const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isDuration = (value) => Number.isFinite(value) && value >= 0;
+const isPageList = (value) => Array.isArray(value) && value.every(page => typeof page === 'string');
+const isRecordList = (value) => Array.isArray(value) &&
+    value.every(record => record && typeof record.id === 'string' && Number.isFinite(record.at));
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Проверки полей по разделам. Неверное поле отбрасывается (останется значение
+// по умолчанию), неизвестные поля сохраняются для будущих версий
+export const STATE_SCHEMA = {
+    progress: {
+        visitedPages: isPageList,
+        timeSpent: isDuration,      // Активное время на сайте, мс
+        interactions: isCount,
+        fragmentsDiscovered: isCount,
+        fragments: isRecordList,    // [{ id, at (мс) }]
+        sessions: isCount,
+        unlocks: isRecordList       // Открытые пороги прогресса (progress.js): [{ id, at (мс) }]
+    },
+    settings: {
+        audioEnabled: isBoolean,
+        effectsEnabled: isBoolean,
+        flickerIntensity: isFraction,
+        aberrationAmount: isFraction,
+        particleDensity: isFraction,
+        reduceMotion: isBoolean
+    }
+};
+
+// Проверка по STATE_SCHEMA: { state, errors } — errors содержит пути отброшенных полей
+export function validateState(state, schema = STATE_SCHEMA) {
+    if (!isObject(state)) {
+        return { state: null, errors: ['<root>'] };
+    }
+
+    const errors = [];
+    const result = { ...state };
+
+    Object.entries(schema).forEach(([section, fields]) => {
+        if (state[section] === undefined) return;
+
+        if (!isObject(state[section])) {
+            errors.push(section);
+            delete result[section];
+            return;
+        }
+
+        const checked = { ...state[section] };
+        Object.entries(fields).forEach(([field, check]) => {
+            if (checked[field] !== undefined && !check(checked[field])) {
+                errors.push(`${section}.${field}`);
+                delete checked[field];
+            }
+        });
+        result[section] = checked;
+    });
+
+    return { state: result, errors };
+}
+
+// Последовательное применение миграций до SCHEMA_VERSION
+export function migrateState(state, migrations = MIGRATIONS, target = SCHEMA_VERSION) {
+    let version = Number.isInteger(state.version) ? state.version : 1;
+    let migrated = state;
+
+    while (version < target) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            throw new Error(`Нет миграции состояния с версии ${version}`);
+        }
+
+        migrated = migrate(migrated);
+        version++;
+    }
+
+    return { ...migrated, version };
+}
+
+// Хранилища: { name, read(key), write(key, value), remove(key) } — значения строки JSON
+
+function createWebStorage(name) {
+    const storage = window[name];
+
+    // Доступ к хранилищу бросает исключение в приватных режимах и при запрете cookies
+    const probe = '__metamorphoses_probe__';
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+
+    return {
+        name,
+        read: (key) => storage.getItem(key),
+        write: (key, value) => storage.setItem(key, value),
+        remove: (key) => storage.removeItem(key)
+    };
+}
+
+const IDB_NAME = 'metamorphoses';
+const IDB_STORE = 'state';
+
+// Запрос IndexedDB как промис
+function request(operation) {
+    return new Promise((resolve, reject) => {
+        operation.onsuccess = () => resolve(operation.result);
+        operation.onerror = () => reject(operation.error);
+    });
+}
+
+async function createIndexedDBStorage() {
+    if (!window.indexedDB) throw new Error('IndexedDB не поддерживается');
+
+    const opening = window.indexedDB.open(IDB_NAME, 1);
+    opening.onupgradeneeded = () => opening.result.createObjectStore(IDB_STORE);
+    const db = await request(opening);
+
+    const transaction = (mode, action) => {
+        const store = db.transaction(IDB_STORE, mode).objectStore(IDB_STORE);
+        return request(action(store));
+    };
+
+    return {
+        name: 'indexedDB',
+        read: async (key) => {
+            const value = await transaction('readonly', store => store.get(key));
+            return value === undefined ? null : value;
+        },
+        write: (key, value) => transaction('readwrite', store => store.put(value, key)),
+        remove: (key) => transaction('readwrite', store => store.delete(key))
+    };
+}
+
+// Последний рубеж: состояние живёт до перезагрузки страницы.
+// Значения общие для всех StateStorage: страницы роутера видят записи друг друга
+const memoryValues = new Map();
+
+function createMemoryStorage() {
+    const values = memoryValues;
+
+    return {
+        name: 'memory',
+        read: (key) => (values.has(key) ? values.get(key) : null),
+        write: (key, value) => values.set(key, value),
+        remove: (key) => values.delete(key)
+    };
+}
+
+// Порядок перебора хранилищ
+const BACKENDS = [
+    () => createWebStorage('localStorage'),
+    createIndexedDBStorage,
+    () => createWebStorage('sessionStorage'),
+    createMemoryStorage
+];
+
+export default class StateStorage {
+    constructor(options = {}) {
+        this.key = options.key || STORAGE_KEY;
+        this.version = options.version || SCHEMA_VERSION;
+        this.migrations = options.migrations || MIGRATIONS;
+        this.schema = options.schema || STATE_SCHEMA;
+        this.backends = options.backends || BACKENDS;
+
+        this.backend = null;
+    }
+
+    // Первое доступное хранилище
+    async open() {
+        if (this.backend) return this.backend;
+
+        for (const create of this.backends) {
+            try {
+                this.backend = await create();
+                break;
+            } catch (error) {
+                // Пробуем следующее
+            }
+        }
+
+        if (this.backend.name !== 'localStorage') {
+            console.warn(`💾 localStorage недоступен, состояние хранится в ${this.backend.name}`);
+        }
+        return this.backend;
+    }
+
+    // Сохранённое состояние текущей версии или null (нет записи или она испорчена)
+    async load() {
+        const backend = await this.open();
+
+        let raw = null;
+        try {
+            raw = await backend.read(this.key);
+        } catch (error) {
+            console.warn('Не удалось прочитать состояние:', error);
+            return null;
+        }
+        if (raw === null) return null;
+
+        let state;
+        try {
+            const parsed = JSON.parse(raw);
+            if (!isObject(parsed)) throw new Error('состояние не является объектом');
+            state = migrateState(parsed, this.migrations, this.version);
+        } catch (error) {
+            await this.backup(raw, error);
+            return null;
+        }
+
+        if (state.version > this.version) {
+            console.warn(`Состояние сохранено новой версией схемы (${state.version}), читаем совместимые поля`);
+        }
+
+        const { state: valid, errors } = validateState(state, this.schema);
+        if (errors.length > 0) {
+            console.warn(`Поля состояния отброшены как неверные: ${errors.join(', ')}`);
+        }
+
+        return valid;
+    }
+
+    // Испорченная запись не теряется молча: копия остаётся под ключом *_corrupt
+    async backup(raw, error) {
+        console.error(`❌ Сохранённое состояние испорчено (${error.message}), копия: ${this.key}_corrupt`);
+        try {
+            await this.backend.write(`${this.key}_corrupt`, raw);
+        } catch (e) {
+            // Места нет — копию не сохранить
+        }
+    }
+
+    // Запись с версией и временем сохранения. С localStorage пишет синхронно,
+    // поэтому успевает в beforeunload
+    async save(state) {
+        const backend = this.backend || await this.open();
+        const record = { ...state, version: this.version, lastSaved: Date.now() };
+
+        try {
+            await backend.write(this.key, JSON.stringify(record));
+            return true;
+        } catch (error) {
+            console.warn('Не удалось сохранить состояние:', error);
+            return false;
+        }
+    }
+
+    async clear() {
+        const backend = await this.open();
+        await backend.remove(this.key);
+    }
+}
+
+// Активное время сессии: пауза, пока вкладка скрыта.
+// take() отдаёт время с прошлого вызова — его прибавляют к сохранённому итогу ровно один раз
+export class SessionClock {
+    constructor(now = () => Date.now()) {
+        this.now = now;
+        this.banked = 0;
+        this.since = null;
+    }
+
+    get running() {
+        return this.since !== null;
+    }
+
+    // Накоплено и ещё не забрано, мс
+    get pending() {
+        return this.banked + (this.running ? this.now() - this.since : 0);
+    }
+
+    start() {
+        if (!this.running) this.since = this.now();
+        return this;
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.banked += this.now() - this.since;
+        this.since = null;
+    }
+
+    take() {
+        const elapsed = this.pending;
+        this.banked = 0;
+        if (this.running) this.since = this.now();
+        return elapsed;
+    }
+}
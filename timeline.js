@@ -0,0 +1,205 @@
+// ============================================
+// TIMELINE
+// Твины параметров и отложенные действия на часах анимации
+// ============================================
+
+// Функции плавности: прогресс 0..1 → 0..1
+export const Easing = {
+    linear: (t) => t,
+    step: (t) => (t < 1 ? 0 : 1),
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => t * (2 - t),
+    easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeOutBack: (t) => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    }
+};
+
+// Получение функции плавности по имени или напрямую
+function resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return Easing[easing] || Easing.linear;
+}
+
+export default class Timeline {
+    constructor() {
+        // Текущее время часов (секунды)
+        this.time = 0;
+
+        // Активные твины и отложенные действия
+        this.entries = new Set();
+        this.nextId = 1;
+    }
+
+    // Продвижение часов. Вызывается из цикла анимации,
+    // поэтому при остановке цикла все твины стоят на паузе
+    update(time) {
+        this.time = time;
+
+        // Копия: колбэки могут добавлять новые записи
+        [...this.entries].forEach(entry => {
+            if (entry.cancelled) return;
+
+            const elapsed = this.time - entry.start;
+            if (elapsed < 0) return;
+
+            // Отложенное действие
+            if (entry.callback) {
+                this.entries.delete(entry);
+                entry.callback();
+                return;
+            }
+
+            const progress = entry.duration > 0 ? Math.min(elapsed / entry.duration, 1) : 1;
+            entry.value = this.sample(entry, progress);
+
+            if (progress >= 1) {
+                this.entries.delete(entry);
+                if (entry.onComplete) entry.onComplete();
+            }
+        });
+    }
+
+    // Твин параметра
+    // options: { target, keyframes: [{ at: 0..1, value, easing }] | from/to,
+    //            duration (с), delay (с), easing, mode: 'add' | 'multiply', tag, onComplete }
+    tween(options) {
+        const keyframes = (options.keyframes || [
+            { at: 0, value: options.from !== undefined ? options.from : 0 },
+            { at: 1, value: options.to !== undefined ? options.to : 0 }
+        ]).slice().sort((a, b) => a.at - b.at);
+
+        const entry = {
+            id: this.nextId++,
+            target: options.target,
+            keyframes,
+            duration: options.duration || 0,
+            start: this.time + (options.delay || 0),
+            easing: resolveEasing(options.easing),
+            mode: options.mode || 'add',
+            tag: options.tag || null,
+            onComplete: options.onComplete || null,
+            value: null
+        };
+
+        // Без задержки твин влияет на параметр уже в текущем кадре
+        if (!options.delay) {
+            entry.value = this.sample(entry, 0);
+        }
+
+        this.entries.add(entry);
+        return this.createHandle(entry);
+    }
+
+    // Отложенное действие (задержка в секундах)
+    call(delay, callback, tag = null) {
+        const entry = {
+            id: this.nextId++,
+            start: this.time + delay,
+            callback,
+            tag
+        };
+
+        this.entries.add(entry);
+        return this.createHandle(entry);
+    }
+
+    // Значение твина по ключевым кадрам
+    sample(entry, progress) {
+        const { keyframes } = entry;
+        if (progress <= keyframes[0].at) return keyframes[0].value;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const prev = keyframes[i - 1];
+            const next = keyframes[i];
+
+            if (progress <= next.at) {
+                const span = next.at - prev.at;
+                const local = span > 0 ? (progress - prev.at) / span : 1;
+                const eased = resolveEasing(next.easing || entry.easing)(local);
+                return prev.value + (next.value - prev.value) * eased;
+            }
+        }
+
+        return keyframes[keyframes.length - 1].value;
+    }
+
+    // Итоговое значение параметра: база + сумма слоёв, затем множители
+    value(target, base = 0) {
+        let offset = 0;
+        let factor = 1;
+
+        this.entries.forEach(entry => {
+            if (entry.target !== target || entry.value === null || entry.cancelled) return;
+
+            if (entry.mode === 'multiply') {
+                factor *= entry.value;
+            } else {
+                offset += entry.value;
+            }
+        });
+
+        return (base + offset) * factor;
+    }
+
+    // Копия объекта параметров с применёнными слоями
+    apply(params) {
+        const result = { ...params };
+
+        this.entries.forEach(entry => {
+            if (entry.target && typeof params[entry.target] === 'number') {
+                result[entry.target] = this.value(entry.target, params[entry.target]);
+            }
+        });
+
+        return result;
+    }
+
+    // Есть ли активные твины параметра
+    isActive(target) {
+        return [...this.entries].some(entry => entry.target === target && !entry.cancelled);
+    }
+
+    // Отмена по id или handle
+    cancel(handle) {
+        const id = typeof handle === 'object' && handle !== null ? handle.id : handle;
+
+        this.entries.forEach(entry => {
+            if (entry.id === id) {
+                entry.cancelled = true;
+                this.entries.delete(entry);
+            }
+        });
+    }
+
+    // Отмена всех записей с тегом
+    cancelTag(tag) {
+        this.entries.forEach(entry => {
+            if (entry.tag === tag) {
+                entry.cancelled = true;
+                this.entries.delete(entry);
+            }
+        });
+    }
+
+    // Полная очистка
+    clear() {
+        this.entries.forEach(entry => {
+            entry.cancelled = true;
+        });
+        this.entries.clear();
+    }
+
+    createHandle(entry) {
+        return {
+            id: entry.id,
+            cancel: () => this.cancel(entry.id)
+        };
+    }
+}